@@ -0,0 +1,122 @@
+/**
+ * Disjoncteur de l'API SnackPrompt
+ * -------------------------------------------------
+ * Suspend toutes les requêtes lorsque la plateforme semble indisponible,
+ * puis laisse passer une requête de test avant de reprendre le trafic
+ */
+
+const { sendNotification } = require('../utils/notifications');
+const { CircuitOpenError } = require('../utils/errors');
+
+class CircuitBreaker {
+  /**
+   * Initialise le disjoncteur
+   * @param {Object} [options] - Options du disjoncteur
+   * @param {number} [options.failureThreshold] - Échecs consécutifs avant ouverture
+   * @param {number} [options.resetTimeout] - Durée d'ouverture avant la requête de test, en millisecondes
+   * @param {number} [options.maxWait] - Attente maximale d'un appelant avant abandon, en millisecondes
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 60 * 1000; // 1 minute
+    this.maxWait = options.maxWait || 5 * 60 * 1000; // 5 minutes
+
+    this.state = 'closed'; // closed, open ou half_open
+    this.failures = 0;
+    this.openedAt = null;
+    this.createStateChangePromise();
+  }
+
+  /**
+   * Prépare la promesse résolue au prochain changement d'état
+   */
+  createStateChangePromise() {
+    this.stateChanged = new Promise(resolve => {
+      this.notifyStateChange = resolve;
+    });
+  }
+
+  /**
+   * Change l'état du disjoncteur et réveille les appelants en attente
+   * @param {string} state - Nouvel état
+   */
+  setState(state) {
+    this.state = state;
+
+    const notify = this.notifyStateChange;
+    this.createStateChangePromise();
+    notify();
+  }
+
+  /**
+   * Attend que le disjoncteur autorise une requête
+   * Lorsque le disjoncteur est ouvert, l'appelant est suspendu jusqu'à la
+   * requête de test ; il abandonne au-delà de maxWait.
+   * @returns {Promise<void>}
+   */
+  async beforeRequest() {
+    const deadline = Date.now() + this.maxWait;
+
+    while (this.state !== 'closed') {
+      const now = Date.now();
+
+      if (now >= deadline) {
+        throw new CircuitOpenError('API SnackPrompt indisponible (disjoncteur ouvert)');
+      }
+
+      if (this.state === 'open' && now >= this.openedAt + this.resetTimeout) {
+        // Cet appelant effectue la requête de test
+        this.setState('half_open');
+        return;
+      }
+
+      // Attendre la fin de la période d'ouverture ou le résultat de la requête de test
+      const wait = this.state === 'open'
+        ? Math.min(this.openedAt + this.resetTimeout, deadline) - now
+        : deadline - now;
+
+      await Promise.race([
+        this.stateChanged,
+        new Promise(resolve => setTimeout(resolve, wait))
+      ]);
+    }
+  }
+
+  /**
+   * Signale une requête ayant obtenu une réponse de la plateforme
+   */
+  onSuccess() {
+    this.failures = 0;
+
+    if (this.state !== 'closed') {
+      console.log('API SnackPrompt de nouveau disponible, reprise des requêtes');
+      this.setState('closed');
+    }
+  }
+
+  /**
+   * Signale une requête en échec (erreur réseau, délai dépassé ou erreur serveur)
+   */
+  onFailure() {
+    this.failures++;
+
+    if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      const wasClosed = this.state === 'closed';
+
+      this.openedAt = Date.now();
+      this.setState('open');
+
+      console.warn(`Disjoncteur de l'API ouvert après ${this.failures} échecs, requêtes suspendues pendant ${this.resetTimeout / 1000} secondes`);
+
+      if (wasClosed) {
+        sendNotification({
+          type: 'warning',
+          subject: 'API SnackPrompt indisponible',
+          message: `${this.failures} requêtes consécutives ont échoué. Les appels à l'API sont suspendus jusqu'au rétablissement de la plateforme.`
+        }).catch(() => {});
+      }
+    }
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,99 @@
+/**
+ * Limiteur de débit de l'API SnackPrompt
+ * -------------------------------------------------
+ * Seaux à jetons appliquant côté client les limites documentées de l'API,
+ * afin d'espacer les requêtes plutôt que de recevoir des 429
+ */
+
+const { delay } = require('../utils/helpers');
+
+// Limites documentées (requêtes par minute)
+const DEFAULT_LIMITS = {
+  read: 100,     // Lecture (GET)
+  analytics: 20, // Analytics
+  write: 10      // Écriture (POST, PUT, PATCH, DELETE)
+};
+
+class TokenBucket {
+  /**
+   * Initialise un seau à jetons
+   * @param {number} capacity - Nombre de jetons, rechargé intégralement sur l'intervalle
+   * @param {number} interval - Intervalle de recharge complète en millisecondes
+   */
+  constructor(capacity, interval) {
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.refillRate = capacity / interval; // Jetons par milliseconde
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve(); // Les demandes sont servies dans l'ordre d'arrivée
+  }
+
+  /**
+   * Recharge le seau en fonction du temps écoulé
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillRate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Attend qu'un jeton soit disponible puis le consomme
+   * @returns {Promise<void>}
+   */
+  take() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+
+      while (this.tokens < 1) {
+        await delay(Math.ceil((1 - this.tokens) / this.refillRate));
+        this.refill();
+      }
+
+      this.tokens -= 1;
+    });
+
+    this.queue = turn;
+    return turn;
+  }
+}
+
+class RateLimiter {
+  /**
+   * Initialise le limiteur de débit
+   * @param {Object} [limits] - Requêtes par minute par type d'endpoint (read, analytics, write)
+   */
+  constructor(limits = {}) {
+    const { read, analytics, write } = { ...DEFAULT_LIMITS, ...limits };
+
+    this.buckets = {
+      read: new TokenBucket(read, 60 * 1000),
+      analytics: new TokenBucket(analytics, 60 * 1000),
+      write: new TokenBucket(write, 60 * 1000)
+    };
+  }
+
+  /**
+   * Détermine le type d'endpoint d'une requête
+   * @param {Object} config - Configuration de la requête axios
+   * @returns {string} - read, analytics ou write
+   */
+  getBucketName(config) {
+    if ((config.url || '').startsWith('/analytics')) {
+      return 'analytics';
+    }
+
+    return (config.method || 'get').toLowerCase() === 'get' ? 'read' : 'write';
+  }
+
+  /**
+   * Attend l'autorisation d'envoyer une requête
+   * @param {Object} config - Configuration de la requête axios
+   * @returns {Promise<void>}
+   */
+  async acquire(config) {
+    await this.buckets[this.getBucketName(config)].take();
+  }
+}
+
+module.exports = RateLimiter;
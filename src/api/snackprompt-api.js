@@ -4,8 +4,14 @@
  * Gère toutes les interactions avec l'API SnackPrompt
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const { delay } = require('../utils/helpers');
+const CircuitBreaker = require('./circuit-breaker');
+const RateLimiter = require('./rate-limiter');
+const { createApiError, CircuitOpenError } = require('../utils/errors');
+const { applyPricingPolicy } = require('../utils/pricing-policy');
+const { isDryRun, recordPlannedChange, getPlannedState } = require('../utils/job-context');
 
 class SnackPromptAPI {
   /**
@@ -13,11 +19,17 @@ class SnackPromptAPI {
    * @param {Object} config - Configuration de l'API
    * @param {string} config.apiKey - Clé API SnackPrompt
    * @param {string} config.secretKey - Clé secrète SnackPrompt
+   * @param {string} [config.baseUrl] - URL de base de l'API (défaut: API de production)
+   * @param {Object} [config.rateLimits] - Requêtes par minute par type d'endpoint (read, analytics, write)
+   * @param {Object} [config.auditLog] - Journal d'audit des écritures
+   * @param {Object} [config.revisionHistory] - Historique des révisions des prompts
    */
   constructor(config) {
     this.apiKey = config.apiKey;
     this.secretKey = config.secretKey;
-    this.baseURL = 'https://api.snackprompt.com/v1';
+    this.baseURL = config.baseUrl || 'https://api.snackprompt.com/v1';
+    this.auditLog = config.auditLog;
+    this.revisionHistory = config.revisionHistory;
     this.client = axios.create({
       baseURL: this.baseURL,
       headers: {
@@ -28,6 +40,27 @@ class SnackPromptAPI {
       timeout: 30000 // 30 secondes
     });
     
+    // Politique de nouvelles tentatives (429, erreurs serveur et réseau)
+    this.retryPolicy = {
+      maxRetries: 4,
+      initialDelay: 1000, // 1 seconde, doublée à chaque tentative
+      maxDelay: 30 * 1000, // 30 secondes
+      retryableCodes: ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN']
+    };
+    
+    // Disjoncteur et limiteur de débit partagés par toutes les requêtes
+    this.circuitBreaker = new CircuitBreaker();
+    this.rateLimiter = new RateLimiter(config.rateLimits);
+    
+    // Paramètres de pagination des endpoints de liste
+    this.pagination = {
+      pageSize: 100, // Maximum autorisé par l'API
+      maxPages: 1000 // Garde-fou contre une pagination qui ne se termine pas
+    };
+    
+    // Ressources dont l'état peut être lu individuellement (GET /<type>/:id)
+    this.readableResources = ['prompts', 'bundles', 'promotions'];
+    
     // Configuration des intercepteurs pour gérer les erreurs et la rate limit
     this.setupInterceptors();
   }
@@ -36,9 +69,21 @@ class SnackPromptAPI {
    * Configure les intercepteurs pour gérer les erreurs et les limites de taux
    */
   setupInterceptors() {
-    // Intercepteur de requête
+    // Intercepteur de requête : simulation ou audit des écritures, disjoncteur puis limiteur de débit
     this.client.interceptors.request.use(
-      config => {
+      async config => {
+        if (config.method !== 'get' && isDryRun()) {
+          return this.planWrite(config);
+        }
+        
+        // État avant l'écriture, capturé une seule fois même si la requête est relancée
+        if (config.method !== 'get' && (this.auditLog || this.revisionHistory) && !config.audit) {
+          config.audit = await this.captureWrite(config);
+        }
+        
+        await this.circuitBreaker.beforeRequest();
+        await this.rateLimiter.acquire(config);
+        
         console.log(`API Request: ${config.method.toUpperCase()} ${config.url}`);
         return config;
       },
@@ -50,46 +95,332 @@ class SnackPromptAPI {
 
     // Intercepteur de réponse
     this.client.interceptors.response.use(
-      response => {
+      async response => {
+        this.circuitBreaker.onSuccess();
+        
+        // Déballer l'enveloppe documentée { success, data, meta }
+        const body = response.data;
+        if (body && typeof body === 'object' && typeof body.success === 'boolean' && 'data' in body) {
+          response.meta = body.meta || {};
+          response.data = body.data;
+        }
+        
+        if (response.config.audit) {
+          await this.recordWrite(response.config.audit, { after: response.config.method === 'delete' ? null : response.data });
+        }
         return response;
       },
       async error => {
-        // Gestion des erreurs
-        if (error.response) {
-          const { status, data } = error.response;
-          
-          // Gestion de la rate limit (429)
-          if (status === 429) {
-            const retryAfter = parseInt(error.response.headers['retry-after'] || '60', 10);
-            console.warn(`Rate limit atteinte. Nouvelle tentative dans ${retryAfter} secondes...`);
-            await delay(retryAfter * 1000);
-            return this.client(error.config);
-          }
-          
-          // Gestion des erreurs d'authentification (401)
-          if (status === 401) {
-            console.error('Erreur d\'authentification API:', data);
-            throw new Error('API Authentication Error');
-          }
-          
-          // Gestion des erreurs de validation (400)
-          if (status === 400) {
-            console.error('Erreur de validation API:', data);
-            throw new Error(`API Validation Error: ${JSON.stringify(data)}`);
-          }
+        // Requête refusée par le disjoncteur : elle n'a pas atteint la plateforme et ne doit
+        // ni rouvrir le disjoncteur (requête de test en cours) ni être relancée
+        if (error instanceof CircuitOpenError) {
+          throw error;
+        }
+        
+        const { config } = error;
+        const status = error.response ? error.response.status : null;
+        
+        // Seules les erreurs réseau et serveur indiquent une indisponibilité de la plateforme
+        if (!error.response || status >= 500) {
+          this.circuitBreaker.onFailure();
+        } else {
+          this.circuitBreaker.onSuccess();
+        }
+        
+        // Nouvelle tentative bornée pour les erreurs transitoires
+        if (config && this.isRetryable(error)) {
+          config.retryCount = (config.retryCount || 0) + 1;
           
-          // Gestion des erreurs serveur (500)
-          if (status >= 500) {
-            console.error('Erreur serveur API:', data);
-            throw new Error('API Server Error');
+          if (config.retryCount <= this.retryPolicy.maxRetries) {
+            const retryDelay = this.getRetryDelay(error, config.retryCount);
+            console.warn(`Requête ${config.method.toUpperCase()} ${config.url} en échec (${status || error.code}). Tentative ${config.retryCount}/${this.retryPolicy.maxRetries} dans ${Math.round(retryDelay / 1000)} secondes...`);
+            await delay(retryDelay);
+            return this.client(config);
           }
         }
         
-        return Promise.reject(error);
+        // Convertir en erreur typée en conservant le statut, le corps et l'identifiant de requête
+        const apiError = createApiError(error);
+        
+        if (config && config.audit) {
+          await this.recordWrite(config.audit, { error: apiError });
+        }
+        
+        if (status === 429) {
+          console.error('Rate limit atteinte, nombre maximal de tentatives dépassé');
+        } else if (status === 401 || status === 403) {
+          console.error('Erreur d\'authentification API:', error.response.data);
+        } else if (status === 400 || status === 422) {
+          console.error('Erreur de validation API:', error.response.data);
+        } else if (!error.response || status >= 500) {
+          console.error('Erreur serveur API:', apiError.message);
+        }
+        
+        throw apiError;
       }
     );
   }
 
+  /**
+   * Consigne une écriture au lieu de l'envoyer (mode simulation)
+   * L'état actuel de la ressource est lu pour établir le plan avant/après, et
+   * la requête reçoit une réponse synthétique sans atteindre la plateforme.
+   * @param {Object} config - Configuration de la requête axios
+   * @returns {Promise<Object>} - Configuration avec un adaptateur de réponse simulée
+   */
+  async planWrite(config) {
+    const method = config.method.toUpperCase();
+    const [resourceType, resourceId = null, action] = this.parseEndpoint(config.url);
+    const data = config.data || {};
+    
+    // État de la ressource modifiée ou supprimée, en tenant compte des écritures déjà simulées
+    let before = null;
+    if (resourceId && !action && (method === 'PATCH' || method === 'PUT' || method === 'DELETE')) {
+      before = getPlannedState(resourceType, resourceId);
+    }
+    if (before === undefined) {
+      before = await this.fetchResourceState(resourceType, resourceId);
+    }
+    
+    let after;
+    if (method === 'DELETE') {
+      after = null;
+    } else if (action) {
+      after = { ...data, action };
+    } else {
+      after = { ...(before || {}), ...data };
+    }
+    
+    recordPlannedChange({
+      method,
+      endpoint: config.url,
+      resourceType,
+      resourceId,
+      action,
+      before,
+      after
+    });
+    
+    // Réponse synthétique : la ressource telle qu'elle serait après l'écriture
+    const simulated = method === 'DELETE'
+      ? { id: resourceId, deleted: true }
+      : { ...after, id: resourceId || `dry-run-${crypto.randomUUID()}` };
+    
+    config.adapter = async () => ({
+      data: { ...simulated, dry_run: true },
+      status: 200,
+      statusText: 'OK',
+      headers: {},
+      config,
+      request: {}
+    });
+    
+    return config;
+  }
+
+  /**
+   * Prépare l'entrée d'audit d'une écriture en capturant l'état de la ressource avant l'écriture
+   * @param {Object} config - Configuration de la requête axios
+   * @returns {Promise<Object>} - Écriture à journaliser (voir AuditLog.record)
+   */
+  async captureWrite(config) {
+    const [resourceType, resourceId = null, action] = this.parseEndpoint(config.url);
+    
+    return {
+      method: config.method.toUpperCase(),
+      endpoint: config.url,
+      resourceType,
+      resourceId,
+      action,
+      data: config.data,
+      before: resourceId ? await this.fetchResourceState(resourceType, resourceId) : null
+    };
+  }
+
+  /**
+   * Journalise une écriture terminée et versionne le prompt modifié,
+   * sans interrompre la requête en cas d'échec
+   * @param {Object} write - Écriture préparée par captureWrite
+   * @param {Object} outcome - Résultat ({ after } ou { error })
+   * @returns {Promise<void>}
+   */
+  async recordWrite(write, outcome) {
+    if (this.auditLog) {
+      try {
+        await this.auditLog.record({ ...write, after: null, ...outcome });
+      } catch (error) {
+        console.error(`Erreur lors de la journalisation de ${write.method} ${write.endpoint}:`, error.message);
+      }
+    }
+    
+    const promptWritten = write.resourceType === 'prompts' && !write.action && write.method !== 'DELETE';
+    if (this.revisionHistory && promptWritten && outcome.after && outcome.after.id) {
+      await this.revisionHistory.recordRevision(outcome.after, { before: write.before });
+    }
+  }
+
+  /**
+   * Lit l'état actuel d'une ressource
+   * @param {string} resourceType - Type de ressource
+   * @param {string} resourceId - ID de la ressource
+   * @returns {Promise<Object|null>} - État de la ressource, ou null s'il est indisponible
+   */
+  async fetchResourceState(resourceType, resourceId) {
+    if (!this.readableResources.includes(resourceType)) {
+      return null;
+    }
+    
+    try {
+      const response = await this.client.get(`/${resourceType}/${resourceId}`);
+      return response.data;
+    } catch (error) {
+      console.warn(`État actuel de ${resourceType}/${resourceId} indisponible (${error.message})`);
+      return null;
+    }
+  }
+
+  /**
+   * Décompose un endpoint en type de ressource, identifiant et action
+   * @param {string} url - Endpoint (ex: /promotions/promo-123/cancel)
+   * @returns {Array<string>} - [type, id, action]
+   */
+  parseEndpoint(url) {
+    const segments = url.split('?')[0].split('/').filter(Boolean);
+    
+    // Les endpoints du service client sont préfixés (ex: /customer-support/refunds/refund-123/approve)
+    if (segments[0] === 'customer-support' || segments[0] === 'analytics') {
+      return [`${segments[0]}/${segments[1]}`, ...segments.slice(2)];
+    }
+    
+    return segments;
+  }
+
+  /**
+   * Indique si une requête en échec peut être relancée
+   * Les POST ne sont relancés que lorsque la requête n'a pas pu être traitée
+   * (429 ou connexion refusée) pour ne pas créer de doublons.
+   * @param {Object} error - Erreur axios
+   * @returns {boolean} - true si la requête peut être relancée
+   */
+  isRetryable(error) {
+    const status = error.response ? error.response.status : null;
+    const method = (error.config.method || 'get').toLowerCase();
+    
+    if (status === 429 || error.code === 'ECONNREFUSED') {
+      return true;
+    }
+    
+    if (method === 'post') {
+      return false;
+    }
+    
+    return status >= 500 || this.retryPolicy.retryableCodes.includes(error.code);
+  }
+
+  /**
+   * Calcule le délai avant une nouvelle tentative
+   * Respecte l'en-tête Retry-After des 429, sinon backoff exponentiel avec jitter.
+   * @param {Object} error - Erreur axios
+   * @param {number} attempt - Numéro de la nouvelle tentative (à partir de 1)
+   * @returns {number} - Délai en millisecondes
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = error.response && parseInt(error.response.headers['retry-after'], 10);
+    
+    if (retryAfter > 0) {
+      return retryAfter * 1000 + Math.random() * 1000;
+    }
+    
+    const backoff = Math.min(this.retryPolicy.initialDelay * Math.pow(2, attempt - 1), this.retryPolicy.maxDelay);
+    
+    // Jitter : entre la moitié et la totalité du backoff
+    return backoff / 2 + Math.random() * backoff / 2;
+  }
+
+  /**
+   * Parcourt toutes les pages d'un endpoint de liste
+   * @param {string} endpoint - Endpoint paginé (ex: /prompts)
+   * @param {Object} [params] - Paramètres de requête ; limit fixe la taille des pages
+   * @returns {AsyncGenerator<Object>} - Pages successives { items, meta }
+   */
+  async *iteratePages(endpoint, params = {}) {
+    let page = params.page || 1;
+    let pageToken;
+    
+    for (let fetched = 0; fetched < this.pagination.maxPages; fetched++) {
+      const query = { limit: this.pagination.pageSize, ...params, page };
+      if (pageToken) {
+        query.page_token = pageToken;
+      }
+      
+      const response = await this.client.get(endpoint, { params: query });
+      const items = Array.isArray(response.data) ? response.data : [];
+      const meta = response.meta || {};
+      
+      yield { items, meta };
+      
+      if (!this.hasNextPage(meta, page, items.length)) {
+        return;
+      }
+      
+      pageToken = meta.next_page_token;
+      page = (meta.page || page) + 1;
+    }
+    
+    console.warn(`Pagination de ${endpoint} interrompue après ${this.pagination.maxPages} pages`);
+  }
+
+  /**
+   * Indique si une page est suivie d'une autre
+   * @param {Object} meta - Bloc meta de la réponse
+   * @param {number} page - Numéro de la page reçue
+   * @param {number} count - Nombre d'éléments de la page reçue
+   * @returns {boolean} - true s'il reste des pages à récupérer
+   */
+  hasNextPage(meta, page, count) {
+    if (count === 0) {
+      return false;
+    }
+    
+    if ('next_page_token' in meta) {
+      return Boolean(meta.next_page_token);
+    }
+    
+    if (typeof meta.total === 'number') {
+      return (meta.page || page) * (meta.limit || count) < meta.total;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Parcourt un à un les éléments de toutes les pages d'un endpoint de liste
+   * @param {string} endpoint - Endpoint paginé
+   * @param {Object} [params] - Paramètres de requête
+   * @returns {AsyncGenerator<Object>} - Éléments successifs
+   */
+  async *iterate(endpoint, params = {}) {
+    for await (const { items } of this.iteratePages(endpoint, params)) {
+      yield* items;
+    }
+  }
+
+  /**
+   * Récupère les éléments de toutes les pages d'un endpoint de liste
+   * @param {string} endpoint - Endpoint paginé
+   * @param {Object} [params] - Paramètres de requête
+   * @returns {Promise<Array>} - Tous les éléments
+   */
+  async fetchAllPages(endpoint, params = {}) {
+    const items = [];
+    
+    for await (const item of this.iterate(endpoint, params)) {
+      items.push(item);
+    }
+    
+    return items;
+  }
+
   /**
    * Crée un nouveau prompt sur SnackPrompt
    * @param {Object} promptData - Données du prompt à créer
@@ -122,19 +453,30 @@ class SnackPromptAPI {
   }
 
   /**
-   * Récupère tous les prompts
+   * Récupère tous les prompts, toutes pages confondues
+   * @param {Object} [params] - Filtres (category, tags, search, min_price, max_price...)
    * @returns {Promise<Array>} - Liste des prompts
    */
-  async getPrompts() {
+  async getPrompts(params = {}) {
     try {
-      const response = await this.client.get('/prompts');
-      return response.data;
+      return await this.fetchAllPages('/prompts', params);
     } catch (error) {
       console.error('Erreur lors de la récupération des prompts:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Parcourt les prompts page par page sans charger tout le catalogue
+   * @example
+   * for await (const prompt of api.iteratePrompts({ category: 'marketing' })) { ... }
+   * @param {Object} [params] - Filtres (category, tags, search...)
+   * @returns {AsyncGenerator<Object>} - Prompts successifs
+   */
+  iteratePrompts(params = {}) {
+    return this.iterate('/prompts', params);
+  }
+
   /**
    * Met à jour un prompt existant
    * @param {string} promptId - ID du prompt à mettre à jour
@@ -156,14 +498,13 @@ class SnackPromptAPI {
    * Met à jour le prix d'un prompt
    * @param {string} promptId - ID du prompt
    * @param {number} price - Nouveau prix
+   * @param {string} [category] - Catégorie du prompt, pour ses bornes de prix
    * @returns {Promise<Object>} - Le prompt mis à jour
    */
-  async updatePromptPrice(promptId, price) {
+  async updatePromptPrice(promptId, price, category) {
     try {
-      // Arrondir le prix et s'assurer qu'il est dans les limites
-      const minPrice = parseFloat(process.env.MIN_PROMPT_PRICE) || 10;
-      const maxPrice = parseFloat(process.env.MAX_PROMPT_PRICE) || 150;
-      const newPrice = Math.min(Math.max(Math.round(price), minPrice), maxPrice);
+      // Ramener le prix sur la politique de prix (paliers, terminaison, bornes)
+      const newPrice = applyPricingPolicy(price, { category });
       
       const response = await this.client.patch(`/prompts/${promptId}`, { price: newPrice });
       console.log(`Prix du prompt ${promptId} mis à jour à ${newPrice}€`);
@@ -207,11 +548,14 @@ class SnackPromptAPI {
   /**
    * Récupère les performances d'un prompt spécifique
    * @param {string} promptId - ID du prompt
+   * @param {Object} [params] - Filtres optionnels (period, start_date, end_date, granularity)
    * @returns {Promise<Object>} - Performances du prompt
    */
-  async getPromptPerformance(promptId) {
+  async getPromptPerformance(promptId, params = {}) {
     try {
-      const response = await this.client.get(`/analytics/prompts/${promptId}/performance`);
+      const response = await this.client.get(`/analytics/prompts/${promptId}/performance`, {
+        params
+      });
       return response.data;
     } catch (error) {
       console.error(`Erreur lors de la récupération des performances du prompt ${promptId}:`, error.message);
@@ -250,6 +594,37 @@ class SnackPromptAPI {
     }
   }
 
+  /**
+   * Lance la génération d'un rapport
+   * @param {Object} reportData - Paramètres du rapport (type, period, prompt_ids, format, include_recommendations)
+   * @returns {Promise<Object>} - Le rapport en cours de génération (report_id, status...)
+   */
+  async generateReport(reportData) {
+    try {
+      const response = await this.client.post('/analytics/reports', reportData);
+      console.log(`Génération du rapport lancée: ${response.data.report_id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de la génération du rapport:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Récupère un rapport
+   * @param {string} reportId - ID du rapport
+   * @returns {Promise<Object>} - Le rapport (status, download_url...)
+   */
+  async getReport(reportId) {
+    try {
+      const response = await this.client.get(`/analytics/reports/${reportId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération du rapport ${reportId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Crée un bundle de prompts
    * @param {Object} bundleData - Données du bundle
@@ -266,6 +641,68 @@ class SnackPromptAPI {
     }
   }
 
+  /**
+   * Récupère les bundles, toutes pages confondues
+   * @param {Object} [params] - Paramètres de requête (sort, order, limit comme taille de page...)
+   * @returns {Promise<Array>} - Liste des bundles
+   */
+  async getBundles(params = {}) {
+    try {
+      return await this.fetchAllPages('/bundles', params);
+    } catch (error) {
+      console.error('Erreur lors de la récupération des bundles:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Récupère un bundle par son ID, avec ses prompts
+   * @param {string} bundleId - ID du bundle
+   * @returns {Promise<Object>} - Le bundle récupéré
+   */
+  async getBundle(bundleId) {
+    try {
+      const response = await this.client.get(`/bundles/${bundleId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération du bundle ${bundleId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Met à jour un bundle
+   * @param {string} bundleId - ID du bundle
+   * @param {Object} updateData - Données à mettre à jour (name, price, prompt_ids...)
+   * @returns {Promise<Object>} - Le bundle mis à jour
+   */
+  async updateBundle(bundleId, updateData) {
+    try {
+      const response = await this.client.patch(`/bundles/${bundleId}`, updateData);
+      console.log(`Bundle ${bundleId} mis à jour avec succès`);
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la mise à jour du bundle ${bundleId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Supprime un bundle
+   * @param {string} bundleId - ID du bundle
+   * @returns {Promise<boolean>} - true si supprimé avec succès
+   */
+  async deleteBundle(bundleId) {
+    try {
+      await this.client.delete(`/bundles/${bundleId}`);
+      console.log(`Bundle ${bundleId} supprimé avec succès`);
+      return true;
+    } catch (error) {
+      console.error(`Erreur lors de la suppression du bundle ${bundleId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Programme une promotion
    * @param {Object} promotionData - Données de la promotion
@@ -282,6 +719,82 @@ class SnackPromptAPI {
     }
   }
 
+  /**
+   * Récupère les promotions, toutes pages confondues
+   * @param {Object} [params] - Paramètres de requête (status: active, scheduled, expired, all)
+   * @returns {Promise<Array>} - Liste des promotions
+   */
+  async getPromotions(params = {}) {
+    try {
+      return await this.fetchAllPages('/promotions', params);
+    } catch (error) {
+      console.error('Erreur lors de la récupération des promotions:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Récupère une promotion par son ID, avec ses prompts et ses performances
+   * @param {string} promotionId - ID de la promotion
+   * @returns {Promise<Object>} - La promotion récupérée
+   */
+  async getPromotion(promotionId) {
+    try {
+      const response = await this.client.get(`/promotions/${promotionId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération de la promotion ${promotionId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Met à jour une promotion
+   * @param {string} promotionId - ID de la promotion
+   * @param {Object} updateData - Données à mettre à jour (name, end_time...)
+   * @returns {Promise<Object>} - La promotion mise à jour
+   */
+  async updatePromotion(promotionId, updateData) {
+    try {
+      const response = await this.client.patch(`/promotions/${promotionId}`, updateData);
+      console.log(`Promotion ${promotionId} mise à jour avec succès`);
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la mise à jour de la promotion ${promotionId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Annule une promotion
+   * @param {string} promotionId - ID de la promotion
+   * @returns {Promise<Object>} - Le résultat de l'annulation
+   */
+  async cancelPromotion(promotionId) {
+    try {
+      const response = await this.client.post(`/promotions/${promotionId}/cancel`);
+      console.log(`Promotion ${promotionId} annulée avec succès`);
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de l'annulation de la promotion ${promotionId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Récupère les questions clients, toutes pages confondues
+   * @param {Object} [params] - Paramètres de requête (status: pending, answered, all ; prompt_id)
+   * @returns {Promise<Array>} - Liste des questions
+   */
+  async getQuestions(params = {}) {
+    try {
+      return await this.fetchAllPages('/customer-support/questions', params);
+    } catch (error) {
+      console.error('Erreur lors de la récupération des questions clients:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Répond à une question client
    * @param {string} questionId - ID de la question
@@ -301,6 +814,20 @@ class SnackPromptAPI {
     }
   }
 
+  /**
+   * Récupère les demandes de remboursement, toutes pages confondues
+   * @param {Object} [params] - Paramètres de requête (status: pending, approved, denied, all ; prompt_id)
+   * @returns {Promise<Array>} - Liste des demandes de remboursement
+   */
+  async getRefunds(params = {}) {
+    try {
+      return await this.fetchAllPages('/customer-support/refunds', params);
+    } catch (error) {
+      console.error('Erreur lors de la récupération des demandes de remboursement:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Approuve une demande de remboursement
    * @param {string} refundId - ID de la demande de remboursement
@@ -352,6 +879,21 @@ class SnackPromptAPI {
     }
   }
 
+  /**
+   * Récupère les achats d'un utilisateur, toutes pages confondues
+   * @param {string} userId - ID de l'utilisateur
+   * @param {Object} [params] - Paramètres de requête (limit comme taille de page)
+   * @returns {Promise<Array>} - Liste des achats
+   */
+  async getUserPurchases(userId, params = {}) {
+    try {
+      return await this.fetchAllPages(`/users/${userId}/purchases`, params);
+    } catch (error) {
+      console.error(`Erreur lors de la récupération des achats de l'utilisateur ${userId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Récupère le nombre de remboursements d'un utilisateur
    * @param {string} userId - ID de l'utilisateur
@@ -360,13 +902,76 @@ class SnackPromptAPI {
   async getUserRefundCount(userId) {
     try {
       const response = await this.client.get(`/analytics/users/${userId}/refunds/count`);
-      return response.data.count;
+      const { refunds_count: refundsCount, count } = response.data;
+      return refundsCount !== undefined ? refundsCount : count;
     } catch (error) {
       console.error(`Erreur lors de la récupération du nombre de remboursements:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Crée un abonnement webhook
+   * @param {Object} webhookData - Données du webhook (url, events, secret, description)
+   * @returns {Promise<Object>} - Le webhook créé
+   */
+  async createWebhook(webhookData) {
+    try {
+      const response = await this.client.post('/webhooks', webhookData);
+      console.log(`Webhook créé avec succès: ${response.data.id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de la création du webhook:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Récupère tous les abonnements webhook
+   * @returns {Promise<Array>} - Liste des webhooks
+   */
+  async getWebhooks() {
+    try {
+      return await this.fetchAllPages('/webhooks');
+    } catch (error) {
+      console.error('Erreur lors de la récupération des webhooks:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Met à jour un abonnement webhook
+   * @param {string} webhookId - ID du webhook
+   * @param {Object} updateData - Données à mettre à jour (events, secret, status...)
+   * @returns {Promise<Object>} - Le webhook mis à jour
+   */
+  async updateWebhook(webhookId, updateData) {
+    try {
+      const response = await this.client.patch(`/webhooks/${webhookId}`, updateData);
+      console.log(`Webhook ${webhookId} mis à jour avec succès`);
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la mise à jour du webhook ${webhookId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Supprime un abonnement webhook
+   * @param {string} webhookId - ID du webhook
+   * @returns {Promise<boolean>} - true si supprimé avec succès
+   */
+  async deleteWebhook(webhookId) {
+    try {
+      await this.client.delete(`/webhooks/${webhookId}`);
+      console.log(`Webhook ${webhookId} supprimé avec succès`);
+      return true;
+    } catch (error) {
+      console.error(`Erreur lors de la suppression du webhook ${webhookId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Récupère les prompts les plus performants
    * @param {number} limit - Nombre de prompts à récupérer
@@ -0,0 +1,208 @@
+/**
+ * Planificateur de tests A/B
+ * -------------------------------------------------
+ * Persiste les tests A/B en cours et garantit leur clôture, y compris après
+ * un redémarrage ou un crash du système
+ */
+
+const { ABTest } = require('../database');
+const { storeTestResults } = require('../services/variation-storage');
+const { sendNotification } = require('../utils/notifications');
+const { runOutsideJob } = require('../utils/job-context');
+
+// setTimeout ne supporte pas de délai supérieur à ~24,8 jours
+const MAX_TIMER_DELAY = 2147483647;
+
+class ABTestScheduler {
+  /**
+   * Initialise le planificateur de tests A/B
+   * @param {Object} api - Instance de l'API SnackPrompt
+   */
+  constructor(api) {
+    this.api = api;
+    this.timers = new Map(); // Map des timers actifs (id du test -> timer)
+    this.maxAttempts = 5; // Nombre maximal de tentatives de clôture d'un test
+  }
+
+  /**
+   * Enregistre un nouveau test A/B et planifie sa fin
+   * @param {string} promptId - ID du prompt
+   * @param {number} variationIndex - Index de la variation testée
+   * @param {number} duration - Durée du test en millisecondes
+   * @returns {Promise<Object>} - Test enregistré
+   */
+  async schedule(promptId, variationIndex, duration) {
+    const startedAt = new Date();
+
+    const test = await ABTest.create({
+      prompt_id: promptId,
+      variation_index: variationIndex,
+      started_at: startedAt,
+      ends_at: new Date(startedAt.getTime() + duration)
+    });
+
+    this.armTimer(test);
+
+    console.log(`Fin du test A/B planifiée pour ${promptId} dans ${duration / (1000 * 60 * 60)} heures`);
+
+    return test.toObject();
+  }
+
+  /**
+   * Arme le timer de fin d'un test
+   * @param {Object} test - Test A/B
+   */
+  armTimer(test) {
+    const testId = test._id.toString();
+    const remaining = new Date(test.ends_at).getTime() - Date.now();
+
+    if (this.timers.has(testId)) {
+      clearTimeout(this.timers.get(testId));
+    }
+
+    // Le timer peut être armé pendant un job (ex: quotidien) : sa fin ne doit pas hériter de son contexte
+    const timer = setTimeout(() => runOutsideJob(async () => {
+      this.timers.delete(testId);
+
+      // Le délai a pu être tronqué à MAX_TIMER_DELAY : réarmer si le test n'est pas encore dû
+      if (new Date(test.ends_at).getTime() > Date.now()) {
+        this.armTimer(test);
+        return;
+      }
+
+      await this.finishTest(testId);
+    }), Math.min(Math.max(remaining, 0), MAX_TIMER_DELAY));
+
+    this.timers.set(testId, timer);
+  }
+
+  /**
+   * Termine un test A/B : stocke ses résultats et libère le prompt
+   * @param {string} testId - ID du test
+   * @returns {Promise<boolean>} - true si le test a été terminé
+   */
+  async finishTest(testId) {
+    // Réserver le test pour éviter une double clôture
+    const test = await ABTest.findOneAndUpdate(
+      { _id: testId, status: 'running' },
+      { $set: { status: 'finishing' }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!test) {
+      return false;
+    }
+
+    try {
+      // Récupérer les performances du prompt sur la fenêtre de test
+      const results = await this.api.getPromptPerformance(test.prompt_id, {
+        start_date: test.started_at.toISOString(),
+        end_date: test.ends_at.toISOString()
+      });
+
+      // Stocker les résultats du test
+      await storeTestResults(test.prompt_id, test.variation_index, results);
+
+      // Mettre fin au test
+      await this.api.updatePrompt(test.prompt_id, { currently_testing: false });
+
+      test.status = 'completed';
+      test.completed_at = new Date();
+      test.last_error = undefined;
+      await test.save();
+
+      console.log(`Test A/B terminé pour ${test.prompt_id}, variation #${test.variation_index + 1}`);
+      return true;
+    } catch (error) {
+      console.error(`Erreur lors de la fin du test A/B pour ${test.prompt_id}:`, error.message);
+
+      test.last_error = error.message;
+
+      if (test.attempts < this.maxAttempts) {
+        // Le test sera repris au prochain passage de finishDueTests
+        test.status = 'running';
+        await test.save();
+        return false;
+      }
+
+      test.status = 'failed';
+      await test.save();
+
+      // Tenter malgré tout de libérer le prompt pour qu'il ne reste pas bloqué
+      try {
+        await this.api.updatePrompt(test.prompt_id, { currently_testing: false });
+      } catch (resetError) {
+        console.error(`Impossible de libérer le prompt ${test.prompt_id}:`, resetError.message);
+      }
+
+      await sendNotification({
+        type: 'error',
+        subject: 'Échec de clôture d\'un test A/B',
+        message: `Le test A/B du prompt ${test.prompt_id} (variation #${test.variation_index + 1}) n'a pas pu être clôturé après ${test.attempts} tentatives: ${error.message}`
+      });
+
+      return false;
+    }
+  }
+
+  /**
+   * Termine tous les tests dont la date de fin est dépassée
+   * @returns {Promise<number>} - Nombre de tests terminés
+   */
+  async finishDueTests() {
+    const dueTests = await ABTest.find({
+      status: 'running',
+      ends_at: { $lte: new Date() }
+    }).lean();
+
+    let finished = 0;
+    for (const test of dueTests) {
+      if (await this.finishTest(test._id)) {
+        finished++;
+      }
+    }
+
+    return finished;
+  }
+
+  /**
+   * Reprend les tests A/B après un redémarrage
+   * Termine les tests échus, réarme les tests en cours et signale les prompts
+   * marqués `currently_testing` sur la plateforme sans test enregistré.
+   * @returns {Promise<Object>} - Rapport de reprise
+   */
+  async recover() {
+    console.log('Reprise des tests A/B en cours...');
+
+    // Une clôture interrompue par un arrêt du processus est reprise depuis le début
+    await ABTest.updateMany({ status: 'finishing' }, { $set: { status: 'running' } });
+
+    const finished = await this.finishDueTests();
+
+    const pendingTests = await ABTest.find({ status: 'running' }).lean();
+    pendingTests.forEach(test => this.armTimer(test));
+
+    // Rechercher les drapeaux currently_testing orphelins
+    const testedPromptIds = new Set(pendingTests.map(test => test.prompt_id));
+    const prompts = await this.api.getPrompts();
+    const orphanedPrompts = prompts.filter(p => p.currently_testing && !testedPromptIds.has(p.id));
+
+    if (orphanedPrompts.length > 0) {
+      await sendNotification({
+        type: 'warning',
+        subject: 'Tests A/B orphelins détectés',
+        message: `${orphanedPrompts.length} prompts sont marqués en test A/B sur la plateforme sans test enregistré: ${orphanedPrompts.map(p => p.id).join(', ')}`
+      });
+    }
+
+    console.log(`Reprise des tests A/B terminée: ${finished} terminés, ${pendingTests.length} repris, ${orphanedPrompts.length} orphelins`);
+
+    return {
+      finished,
+      resumed: pendingTests.length,
+      orphaned: orphanedPrompts.map(p => p.id)
+    };
+  }
+}
+
+module.exports = ABTestScheduler;
@@ -5,29 +5,66 @@
  */
 
 const { sendNotification } = require('../utils/notifications');
-const { retrievePromptVariations, storeTestResults } = require('../services/variation-storage');
+const {
+  retrievePromptVariations,
+  retrieveVariationsForPrompts,
+  markTestStarted,
+  storeTestDecision,
+  recordBanditRotation
+} = require('../services/variation-storage');
+const { twoProportionZTest, sampleBeta } = require('../utils/statistics');
+const ABTestScheduler = require('./ab-test-scheduler');
+const PriceHistory = require('../services/price-history');
+const PromotionCalendar = require('../services/promotion-calendar');
+const { Promotion, OptimizationAction, recordSafely } = require('../database');
+const { isDryRun, withReason, getJobContext } = require('../utils/job-context');
+const { applyPricingPolicy, applyDiscount } = require('../utils/pricing-policy');
 
 class OptimizationEngine {
   /**
    * Initialise le moteur d'optimisation
    * @param {Object} api - Instance de l'API SnackPrompt
    * @param {Object} analyticsService - Service d'analytics
+   * @param {Object} [viewTracker] - Suivi des vues en temps réel
+   * @param {Object} [approvalService] - Service d'approbation des actions à fort impact
+   * @param {Object} [revisionHistory] - Historique des révisions des prompts
    */
-  constructor(api, analyticsService) {
+  constructor(api, analyticsService, viewTracker, approvalService, revisionHistory) {
     this.api = api;
     this.analyticsService = analyticsService;
+    this.viewTracker = viewTracker;
+    this.approvalService = approvalService;
+    this.revisionHistory = revisionHistory;
+    this.testScheduler = new ABTestScheduler(api);
+    this.priceHistory = new PriceHistory(api);
+    this.promotionCalendar = new PromotionCalendar(api);
+    
+    if (approvalService) {
+      approvalService
+        .register('price_change', details => this.applyPriceChange(details))
+        .register('content_rewrite', details => this.applyContentRewrite(details));
+    }
     
     // Paramètres d'optimisation
     this.minPriceAdjustment = 0.95; // -5%
     this.maxPriceAdjustment = 1.05; // +5%
-    this.minPromptPrice = parseFloat(process.env.MIN_PROMPT_PRICE) || 25;
-    this.maxPromptPrice = parseFloat(process.env.MAX_PROMPT_PRICE) || 150;
     
     // Seuils d'optimisation
     this.highConversionThreshold = 0.12; // 12%
     this.lowConversionThreshold = 0.03; // 3%
     this.highViewThreshold = 20; // 20 vues par heure
     this.minTestViews = 100; // Nombre minimum de vues pour un test A/B
+    
+    // Critères de décision des tests A/B
+    this.minTestConfidence = parseFloat(process.env.AB_TEST_MIN_CONFIDENCE) || 0.95;
+    this.minTestSampleViews = parseInt(process.env.AB_TEST_MIN_SAMPLE_VIEWS, 10) || this.minTestViews;
+    
+    // Mode de test des variantes : 'sequential' (tests A/B de 3 jours) ou 'bandit' (Thompson sampling horaire)
+    this.testingMode = process.env.AB_TEST_MODE === 'bandit' ? 'bandit' : 'sequential';
+    this.banditCategories = (process.env.BANDIT_CATEGORIES || '')
+      .split(',')
+      .map(category => category.trim().toLowerCase())
+      .filter(Boolean);
   }
 
   /**
@@ -39,6 +76,15 @@ class OptimizationEngine {
     try {
       console.log('Début de l\'optimisation horaire...');
       
+      // Utiliser les vues reçues en temps réel plutôt que les statistiques en cache
+      if (this.viewTracker) {
+        try {
+          stats = await this.viewTracker.applyRealTimeViews(stats);
+        } catch (error) {
+          console.error('Erreur lors de la récupération des vues en temps réel:', error.message);
+        }
+      }
+      
       const updatedPrompts = [];
       
       for (const prompt of stats) {
@@ -48,31 +94,42 @@ class OptimizationEngine {
           continue;
         }
         
+        // Pendant une promotion, le prix affiché est une remise sur le prix catalogue
+        if (prompt.on_promotion) {
+          console.log(`Prompt ${prompt.id} en promotion, prix non ajusté`);
+          continue;
+        }
+        
         // Critères pour augmenter le prix
         if (prompt.conversion_rate > this.highConversionThreshold && prompt.views_last_hour > this.highViewThreshold) {
-          const newPrice = Math.min(prompt.price * this.maxPriceAdjustment, this.maxPromptPrice);
+          const newPrice = applyPricingPolicy(prompt.price * this.maxPriceAdjustment, { category: prompt.category, current: prompt.price });
           
-          // Si le nouveau prix est significativement différent
-          if (newPrice > prompt.price + 1) {
-            await this.api.updatePromptPrice(prompt.id, newPrice);
+          // Le palier supérieur peut être hors des bornes de la catégorie
+          if (newPrice > prompt.price && await this.changePrice(prompt, newPrice, 'increase_high_conversion')) {
             console.log(`Prix du prompt ${prompt.id} augmenté de ${prompt.price}€ à ${newPrice}€ (taux de conversion élevé)`);
             updatedPrompts.push({ id: prompt.id, oldPrice: prompt.price, newPrice, reason: 'increase_high_conversion' });
           }
         }
         // Critères pour diminuer le prix
         else if (prompt.views_last_hour > this.highViewThreshold * 1.5 && prompt.conversion_rate < this.lowConversionThreshold) {
-          const newPrice = Math.max(prompt.price * this.minPriceAdjustment, this.minPromptPrice);
+          const newPrice = applyPricingPolicy(prompt.price * this.minPriceAdjustment, { category: prompt.category, current: prompt.price });
           
-          // Si le nouveau prix est significativement différent
-          if (newPrice < prompt.price - 1) {
-            await this.api.updatePromptPrice(prompt.id, newPrice);
+          // Le palier inférieur peut être hors des bornes de la catégorie
+          if (newPrice < prompt.price && await this.changePrice(prompt, newPrice, 'decrease_low_conversion')) {
             console.log(`Prix du prompt ${prompt.id} diminué de ${prompt.price}€ à ${newPrice}€ (nombreuses vues, faible conversion)`);
             updatedPrompts.push({ id: prompt.id, oldPrice: prompt.price, newPrice, reason: 'decrease_low_conversion' });
           }
         }
       }
       
+      // Rotation des variantes des prompts en mode bandit
+      const rotations = await this.rotateBanditVariations(stats);
+      updatedPrompts.push(...rotations);
+      
       console.log(`Optimisation horaire terminée: ${updatedPrompts.length} prompts mis à jour`);
+      
+      await this.recordActions('hourly', updatedPrompts);
+      
       return updatedPrompts;
     } catch (error) {
       console.error('Erreur lors de l\'optimisation horaire:', error.message);
@@ -96,6 +153,10 @@ class OptimizationEngine {
       
       const actions = [];
       
+      // Prix modifiés récemment, d'après l'historique des prix
+      const recentlyChanged = await this.priceHistory.getRecentlyChanged(allData.map(p => p.id));
+      allData = allData.map(p => ({ ...p, price_changed_recently: recentlyChanged.has(p.id) }));
+      
       // 1. Lancer des tests A/B sur les prompts avec suffisamment de données
       const promptsForTesting = allData.filter(p => 
         p.total_views > this.minTestViews && 
@@ -103,10 +164,16 @@ class OptimizationEngine {
         p.conversion_rate < this.highConversionThreshold
       );
       
-      for (const prompt of promptsForTesting.slice(0, 2)) { // Limiter à 2 tests par jour
+      let testActions = 0;
+      for (const prompt of promptsForTesting) {
+        if (testActions >= 2) { // Limiter à 2 actions de test par jour
+          break;
+        }
+        
         const action = await this.startABTest(prompt);
         if (action) {
           actions.push(action);
+          testActions++;
         }
       }
       
@@ -128,7 +195,8 @@ class OptimizationEngine {
       const stablePricePrompts = allData.filter(p => 
         p.total_views > this.minTestViews * 3 && 
         !p.price_changed_recently &&
-        !p.currently_testing
+        !p.currently_testing &&
+        !p.on_promotion
       );
       
       for (const prompt of stablePricePrompts) {
@@ -140,6 +208,8 @@ class OptimizationEngine {
       
       console.log(`Optimisation quotidienne terminée: ${actions.length} actions effectuées`);
       
+      await this.recordActions('daily', actions);
+      
       return actions;
     } catch (error) {
       console.error('Erreur lors de l\'optimisation quotidienne:', error.message);
@@ -167,41 +237,77 @@ class OptimizationEngine {
         return null;
       }
       
-      // Si toutes les variantes ont été testées, appliquer la meilleure
+      // Les prompts en mode bandit sont gérés par la rotation horaire
+      if (this.getTestingMode(prompt, variations) === 'bandit') {
+        return null;
+      }
+      
+      // Une décision a déjà été prise pour ces variantes
+      if (variations.decision && variations.decision.outcome) {
+        return null;
+      }
+      
+      // Si toutes les variantes ont été testées, évaluer les résultats
       if (variations.tested_count >= variations.titles.length) {
         if (!variations.results || variations.results.length === 0) {
           console.log(`Aucun résultat de test disponible pour le prompt ${prompt.id}`);
           return null;
         }
         
-        const bestVariation = variations.results.sort((a, b) => b.conversion - a.conversion)[0];
-        await this.api.updatePrompt(prompt.id, {
+        const decision = this.evaluateABTest(variations.results);
+        if (!isDryRun()) {
+          await storeTestDecision(prompt.id, decision);
+        }
+        
+        if (decision.outcome !== 'winner') {
+          console.log(`Aucune variante retenue pour ${prompt.id}: ${decision.rationale}`);
+          
+          return {
+            type: decision.outcome === 'keep_control' ? 'keep_control_variation' : 'ab_test_inconclusive',
+            promptId: prompt.id,
+            decision,
+            timestamp: new Date().toISOString()
+          };
+        }
+        
+        const bestVariation = variations.results.find(r => r.variation_index === decision.winnerIndex);
+        // La révision publiée est rattachée au test A/B de la variante gagnante
+        const abTestId = this.revisionHistory
+          ? await this.revisionHistory.findABTestId(prompt.id, decision.winnerIndex)
+          : undefined;
+        
+        await withReason('apply_best_variation', () => this.api.updatePrompt(prompt.id, {
           title: bestVariation.title,
           description: bestVariation.description
-        });
+        }), { variationIndex: decision.winnerIndex, abTestId });
         
-        console.log(`Meilleure variante appliquée pour ${prompt.id}: conv. rate ${bestVariation.conversion}%`);
+        console.log(`Meilleure variante appliquée pour ${prompt.id}: ${decision.rationale}`);
         
         return {
           type: 'apply_best_variation',
           promptId: prompt.id,
           variation: bestVariation,
+          decision,
           timestamp: new Date().toISOString()
         };
       } 
       // Sinon, tester la prochaine variante
       else {
         const nextIndex = variations.tested_count || 0;
-        await this.api.updatePrompt(prompt.id, {
+        await withReason('start_ab_test', () => this.api.updatePrompt(prompt.id, {
           title: variations.titles[nextIndex],
           description: variations.descriptions[nextIndex],
           currently_testing: true
-        });
+        }), { variationIndex: nextIndex });
         
         console.log(`Test A/B démarré pour ${prompt.id}: variante #${nextIndex + 1}`);
         
         // Planifier la fin du test (après 3 jours)
-        this.scheduleTestEnd(prompt.id, nextIndex, 3 * 24 * 60 * 60 * 1000);
+        const testDuration = 3 * 24 * 60 * 60 * 1000;
+        if (!isDryRun()) {
+          await markTestStarted(prompt.id, nextIndex, testDuration);
+          await this.scheduleTestEnd(prompt.id, nextIndex, testDuration);
+        }
         
         return {
           type: 'start_ab_test',
@@ -219,30 +325,250 @@ class OptimizationEngine {
   }
 
   /**
-   * Planifie la fin d'un test A/B
-   * @param {string} promptId - ID du prompt
-   * @param {number} variationIndex - Index de la variation testée
-   * @param {number} duration - Durée du test en millisecondes
+   * Détermine le mode de test des variantes d'un prompt
+   * Priorité : mode forcé pour le prompt, puis catégorie, puis mode global.
+   * @param {Object} prompt - Données du prompt
+   * @param {Object} variations - Variations stockées du prompt
+   * @returns {string} - 'sequential' ou 'bandit'
    */
-  scheduleTestEnd(promptId, variationIndex, duration) {
-    setTimeout(async () => {
-      try {
-        // Récupérer les performances du prompt
-        const results = await this.api.getPromptPerformance(promptId);
+  getTestingMode(prompt, variations) {
+    if (variations && variations.testing_mode) {
+      return variations.testing_mode;
+    }
+    
+    if (prompt.category && this.banditCategories.includes(prompt.category.toLowerCase())) {
+      return 'bandit';
+    }
+    
+    return this.testingMode;
+  }
+
+  /**
+   * Fait tourner les variantes des prompts en mode bandit
+   * @param {Array} stats - Statistiques des prompts
+   * @returns {Promise<Array>} - Liste des rotations effectuées
+   */
+  async rotateBanditVariations(stats) {
+    const rotations = [];
+    
+    try {
+      const variationsByPrompt = await retrieveVariationsForPrompts(stats.map(p => p.id));
+      
+      for (const prompt of stats) {
+        const variations = variationsByPrompt.get(prompt.id);
         
-        // Stocker les résultats du test
-        await storeTestResults(promptId, variationIndex, results);
+        if (!variations || !variations.titles || variations.titles.length <= 1 || prompt.currently_testing) {
+          continue;
+        }
         
-        // Mettre fin au test
-        await this.api.updatePrompt(promptId, { currently_testing: false });
+        if (this.getTestingMode(prompt, variations) !== 'bandit') {
+          continue;
+        }
         
-        console.log(`Test A/B terminé pour ${promptId}, variation #${variationIndex + 1}`);
-      } catch (error) {
-        console.error(`Erreur lors de la fin du test A/B pour ${promptId}:`, error.message);
+        const rotation = await this.rotateBanditVariation(prompt, variations);
+        if (rotation) {
+          rotations.push(rotation);
+        }
+      }
+    } catch (error) {
+      console.error('Erreur lors de la rotation des variantes en mode bandit:', error.message);
+    }
+    
+    return rotations;
+  }
+
+  /**
+   * Attribue les vues et ventes de la dernière heure à la variante affichée,
+   * puis choisit la prochaine variante par Thompson sampling
+   * @param {Object} prompt - Statistiques du prompt
+   * @param {Object} variations - Variations stockées du prompt
+   * @returns {Promise<Object|null>} - Rotation effectuée ou null si la variante affichée est conservée
+   */
+  async rotateBanditVariation(prompt, variations) {
+    try {
+      const state = variations.bandit || {};
+      const totalViews = prompt.views !== undefined ? prompt.views : prompt.total_views || 0;
+      const totalSales = prompt.sales !== undefined ? prompt.sales : prompt.total_sales || 0;
+      
+      const arms = variations.titles.map((_, index) => {
+        const arm = (state.arms || []).find(a => a.variation_index === index) || {};
+        return {
+          variation_index: index,
+          views: arm.views || 0,
+          sales: arm.sales || 0,
+          exposures: arm.exposures || 0
+        };
+      });
+      
+      // Créditer la variante affichée depuis la dernière rotation
+      const activeIndex = typeof state.active_index === 'number' ? state.active_index : null;
+      if (activeIndex !== null && arms[activeIndex] && typeof state.snapshot_views === 'number') {
+        arms[activeIndex].views += Math.max(totalViews - state.snapshot_views, 0);
+        arms[activeIndex].sales += Math.max(totalSales - (state.snapshot_sales || 0), 0);
+      }
+      
+      // Thompson sampling : tirer un taux de conversion plausible pour chaque variante
+      let chosenIndex = 0;
+      let bestSample = -1;
+      for (const arm of arms) {
+        const sample = sampleBeta(arm.sales + 1, Math.max(arm.views - arm.sales, 0) + 1);
+        if (sample > bestSample) {
+          bestSample = sample;
+          chosenIndex = arm.variation_index;
+        }
+      }
+      arms[chosenIndex].exposures++;
+      
+      if (chosenIndex !== activeIndex) {
+        const update = { title: variations.titles[chosenIndex] };
+        if (variations.descriptions && variations.descriptions[chosenIndex]) {
+          update.description = variations.descriptions[chosenIndex];
+        }
+        
+        await withReason('bandit_rotation', () => this.api.updatePrompt(prompt.id, update), { variationIndex: chosenIndex });
+      }
+      
+      await recordBanditRotation(prompt.id, {
+        activeIndex: chosenIndex,
+        arms,
+        snapshotViews: totalViews,
+        snapshotSales: totalSales
+      });
+      
+      if (chosenIndex === activeIndex) {
+        return null;
       }
-    }, duration);
+      
+      console.log(`Bandit: variante #${chosenIndex + 1} affichée pour le prompt ${prompt.id}`);
+      
+      return {
+        id: prompt.id,
+        reason: 'bandit_rotation',
+        previousVariationIndex: activeIndex,
+        variationIndex: chosenIndex,
+        title: variations.titles[chosenIndex],
+        arms
+      };
+    } catch (error) {
+      console.error(`Erreur lors de la rotation bandit du prompt ${prompt.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Évalue les résultats des variantes testées face à la variante de contrôle
+   * La variante #1 (index 0) est le contenu d'origine et sert de contrôle.
+   * Une variante n'est déclarée gagnante que si elle a atteint l'échantillon
+   * minimum et dépasse le contrôle avec la confiance requise (test z unilatéral).
+   * @param {Array} results - Résultats des variantes testées
+   * @returns {Object} - Décision (outcome, winnerIndex, confidence, rationale, comparisons)
+   */
+  evaluateABTest(results) {
+    const formatRate = rate => `${(rate * 100).toFixed(2)}%`;
+    const control = results.find(r => r.variation_index === 0);
+    
+    if (!control || control.views < this.minTestSampleViews) {
+      return {
+        outcome: 'inconclusive',
+        winnerIndex: null,
+        confidence: null,
+        rationale: `Échantillon de contrôle insuffisant (${control ? control.views : 0} vues, minimum ${this.minTestSampleViews})`,
+        comparisons: []
+      };
+    }
+    
+    const controlRate = control.views > 0 ? control.sales / control.views : 0;
+    
+    const comparisons = results
+      .filter(r => r.variation_index !== 0)
+      .map(r => {
+        const rate = r.views > 0 ? r.sales / r.views : 0;
+        const { z, confidence } = twoProportionZTest(control.sales, control.views, r.sales, r.views);
+        
+        return {
+          variationIndex: r.variation_index,
+          views: r.views,
+          sales: r.sales,
+          conversion: rate,
+          z,
+          confidence,
+          sufficientSample: r.views >= this.minTestSampleViews
+        };
+      });
+    
+    const candidates = comparisons
+      .filter(c => c.sufficientSample && c.confidence >= this.minTestConfidence)
+      .sort((a, b) => b.conversion - a.conversion);
+    
+    if (candidates.length > 0) {
+      const winner = candidates[0];
+      
+      return {
+        outcome: 'winner',
+        winnerIndex: winner.variationIndex,
+        confidence: winner.confidence,
+        rationale: `Variante #${winner.variationIndex + 1}: conversion ${formatRate(winner.conversion)} contre ${formatRate(controlRate)} pour le contrôle, confiance ${formatRate(winner.confidence)} (seuil ${formatRate(this.minTestConfidence)}) sur ${winner.views} vues`,
+        comparisons
+      };
+    }
+    
+    const undersampled = comparisons.filter(c => !c.sufficientSample);
+    const bestConfidence = comparisons.reduce((max, c) => Math.max(max, c.confidence), 0);
     
-    console.log(`Fin du test A/B planifiée pour ${promptId} dans ${duration / (1000 * 60 * 60)} heures`);
+    // Toutes les variantes ont un échantillon suffisant : le contrôle est conservé
+    if (comparisons.length > 0 && undersampled.length === 0) {
+      return {
+        outcome: 'keep_control',
+        winnerIndex: 0,
+        confidence: 1 - bestConfidence,
+        rationale: `Aucune variante ne dépasse le contrôle (${formatRate(controlRate)}) avec une confiance d'au moins ${formatRate(this.minTestConfidence)} (meilleure confiance: ${formatRate(bestConfidence)})`,
+        comparisons
+      };
+    }
+    
+    return {
+      outcome: 'inconclusive',
+      winnerIndex: null,
+      confidence: bestConfidence,
+      rationale: `Échantillon insuffisant pour ${undersampled.length} variante(s) (minimum ${this.minTestSampleViews} vues), aucune variante significative`,
+      comparisons
+    };
+  }
+
+  /**
+   * Planifie la fin d'un test A/B
+   * Le test est persisté pour survivre à un redémarrage du système.
+   * @param {string} promptId - ID du prompt
+   * @param {number} variationIndex - Index de la variation testée
+   * @param {number} duration - Durée du test en millisecondes
+   * @returns {Promise<Object>} - Test planifié
+   */
+  async scheduleTestEnd(promptId, variationIndex, duration) {
+    const test = await this.testScheduler.schedule(promptId, variationIndex, duration);
+    
+    // Rattacher le test à la révision qui publie sa variante
+    if (this.revisionHistory) {
+      await this.revisionHistory.linkABTest(promptId, variationIndex, test._id)
+        .catch(error => console.error(`Erreur lors du rattachement du test A/B ${test._id} à sa révision:`, error.message));
+    }
+    
+    return test;
+  }
+
+  /**
+   * Reprend les tests A/B interrompus par un redémarrage
+   * @returns {Promise<Object>} - Rapport de reprise
+   */
+  async recoverABTests() {
+    return this.testScheduler.recover();
+  }
+
+  /**
+   * Termine les tests A/B dont la date de fin est dépassée
+   * @returns {Promise<number>} - Nombre de tests terminés
+   */
+  async finishDueABTests() {
+    return this.testScheduler.finishDueTests();
   }
 
   /**
@@ -258,10 +584,14 @@ class OptimizationEngine {
       const improvedTitle = `${prompt.title} - Version Optimisée`;
       const improvedDescription = `${prompt.description} Cette version améliorée offre des résultats plus précis et personnalisés.`;
       
-      await this.api.updatePrompt(prompt.id, {
+      const applied = await this.changeContent(prompt, {
         title: improvedTitle,
         description: improvedDescription
-      });
+      }, 'improve_content');
+      
+      if (!applied) {
+        return null;
+      }
       
       console.log(`Contenu du prompt ${prompt.id} amélioré`);
       
@@ -289,46 +619,55 @@ class OptimizationEngine {
     try {
       // Analyser les tendances de prix et de conversion
       const longTermData = await this.analyticsService.getLongTermTrends(prompt.id);
+      const elasticity = longTermData && longTermData.elasticity;
       
-      if (!longTermData || !longTermData.price_elasticity) {
-        console.log(`Pas assez de données pour optimiser le prix du prompt ${prompt.id}`);
+      if (!elasticity || elasticity.status !== 'estimated') {
+        console.log(`Pas assez de données pour optimiser le prix du prompt ${prompt.id}${elasticity ? ` (${elasticity.reason})` : ''}`);
         return null;
       }
       
-      // Si l'élasticité-prix est positive (augmenter le prix augmente les conversions)
-      if (longTermData.price_elasticity > 0.1) {
-        const newPrice = Math.min(prompt.price * 1.1, this.maxPromptPrice);
-        await this.api.updatePromptPrice(prompt.id, newPrice);
+      const [lowerBound, upperBound] = elasticity.confidence_interval;
+      
+      // Demande inélastique (e > -1 avec certitude) : augmenter le prix augmente le revenu par vue
+      if (lowerBound > -1) {
+        const newPrice = applyPricingPolicy(prompt.price * 1.1, { category: prompt.category, current: prompt.price });
+        if (newPrice <= prompt.price || !await this.changePrice(prompt, newPrice, 'optimize_long_term_price_up')) {
+          return null;
+        }
         
-        console.log(`Prix du prompt ${prompt.id} augmenté de ${prompt.price}€ à ${newPrice}€ (optimisation long terme)`);
+        console.log(`Prix du prompt ${prompt.id} augmenté de ${prompt.price}€ à ${newPrice}€ (élasticité ${elasticity.estimate.toFixed(2)}, IC [${lowerBound.toFixed(2)}; ${upperBound.toFixed(2)}])`);
         
         return {
           type: 'optimize_long_term_price_up',
           promptId: prompt.id,
           oldPrice: prompt.price,
           newPrice,
-          elasticity: longTermData.price_elasticity,
+          elasticity: elasticity.estimate,
+          confidenceInterval: elasticity.confidence_interval,
           timestamp: new Date().toISOString()
         };
       } 
-      // Si l'élasticité-prix est négative (diminuer le prix augmente les conversions)
-      else if (longTermData.price_elasticity < -0.1) {
-        const newPrice = Math.max(prompt.price * 0.9, this.minPromptPrice);
-        await this.api.updatePromptPrice(prompt.id, newPrice);
+      // Demande élastique (e < -1 avec certitude) : baisser le prix augmente le revenu par vue
+      else if (upperBound < -1) {
+        const newPrice = applyPricingPolicy(prompt.price * 0.9, { category: prompt.category, current: prompt.price });
+        if (newPrice >= prompt.price || !await this.changePrice(prompt, newPrice, 'optimize_long_term_price_down')) {
+          return null;
+        }
         
-        console.log(`Prix du prompt ${prompt.id} diminué de ${prompt.price}€ à ${newPrice}€ (optimisation long terme)`);
+        console.log(`Prix du prompt ${prompt.id} diminué de ${prompt.price}€ à ${newPrice}€ (élasticité ${elasticity.estimate.toFixed(2)}, IC [${lowerBound.toFixed(2)}; ${upperBound.toFixed(2)}])`);
         
         return {
           type: 'optimize_long_term_price_down',
           promptId: prompt.id,
           oldPrice: prompt.price,
           newPrice,
-          elasticity: longTermData.price_elasticity,
+          elasticity: elasticity.estimate,
+          confidenceInterval: elasticity.confidence_interval,
           timestamp: new Date().toISOString()
         };
       }
       
-      console.log(`Prix du prompt ${prompt.id} maintenu à ${prompt.price}€ (élasticité neutre)`);
+      console.log(`Prix du prompt ${prompt.id} maintenu à ${prompt.price}€ (élasticité ${elasticity.estimate.toFixed(2)} non concluante, IC [${lowerBound.toFixed(2)}; ${upperBound.toFixed(2)}])`);
       return null;
     } catch (error) {
       console.error(`Erreur lors de l'optimisation du prix à long terme du prompt ${prompt.id}:`, error.message);
@@ -397,8 +736,11 @@ class OptimizationEngine {
         )
         .slice(0, 3); // Limiter à 3 prompts
       
+      // Calendrier chargé une seule fois, après les retraits de promotion, pour toutes les réservations
+      const calendar = lowDemandPrompts.length > 0 ? await this.promotionCalendar.load() : [];
+      
       for (const prompt of lowDemandPrompts) {
-        const action = await this.applyPromotion(prompt);
+        const action = await this.applyPromotion(prompt, calendar);
         if (action) {
           actions.push(action);
         }
@@ -406,6 +748,8 @@ class OptimizationEngine {
       
       console.log(`Rénovation hebdomadaire terminée: ${actions.length} actions effectuées`);
       
+      await this.recordActions('weekly', actions);
+      
       // Notification de rapport
       await sendNotification({
         type: 'report',
@@ -439,11 +783,15 @@ class OptimizationEngine {
       const refreshedTitle = `${prompt.title} [2025 Edition]`;
       const refreshedDescription = `${prompt.description} Mis à jour pour 2025 avec les dernières techniques et optimisations.`;
       
-      await this.api.updatePrompt(prompt.id, {
+      const applied = await this.changeContent(prompt, {
         title: refreshedTitle,
         description: refreshedDescription,
         last_refresh_date: new Date().toISOString()
-      });
+      }, 'refresh_content');
+      
+      if (!applied) {
+        return null;
+      }
       
       console.log(`Contenu du prompt ${prompt.id} rafraîchi`);
       
@@ -469,14 +817,22 @@ class OptimizationEngine {
    */
   async removePromotion(prompt) {
     try {
-      // Calculer le prix normal (sans promotion)
-      const normalPrice = Math.round(prompt.price / (1 - prompt.promotion_percentage / 100));
+      // Rétablir le prix catalogue conservé à l'application de la promotion
+      const normalPrice = await this.priceHistory.getListPrice(prompt);
       
-      await this.api.updatePrompt(prompt.id, {
+      await withReason('remove_promotion', () => this.api.updatePrompt(prompt.id, {
         price: normalPrice,
         on_promotion: false,
         promotion_percentage: 0
-      });
+      }));
+      
+      await this.recordPriceChange(prompt.id, prompt.price, normalPrice, 'remove_promotion');
+      if (!isDryRun()) {
+        await Promotion.updateMany(
+          { type: 'prompt', prompt_ids: prompt.id, status: 'active' },
+          { $set: { status: 'expired', end_time: new Date() } }
+        ).catch(error => console.error(`Erreur lors de la mise à jour locale des promotions du prompt ${prompt.id}:`, error.message));
+      }
       
       console.log(`Promotion retirée du prompt ${prompt.id}, prix ajusté de ${prompt.price}€ à ${normalPrice}€`);
       
@@ -497,29 +853,73 @@ class OptimizationEngine {
   /**
    * Applique une promotion à un prompt
    * @param {Object} prompt - Données du prompt
+   * @param {Array} [calendar] - Calendrier des promotions déjà chargé, complété par la promotion appliquée
    * @returns {Promise<Object|null>} - Action effectuée ou null
    */
-  async applyPromotion(prompt) {
+  async applyPromotion(prompt, calendar) {
     try {
       // Calculer le prix en promotion (15% de réduction)
       const promotionPercentage = 15;
-      const promotionPrice = Math.round(prompt.price * (1 - promotionPercentage / 100));
+      const promotionEndDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 jours
+      
+      // Les paliers de prix peuvent fausser la remise : ne rien réserver si elle est refusée
+      const listPrice = await this.priceHistory.getListPrice(prompt);
+      const discount = applyDiscount(listPrice, promotionPercentage, { category: prompt.category });
+      if (!discount) {
+        console.log(`Remise de ${promotionPercentage}% refusée pour le prompt ${prompt.id}: les paliers de prix ne permettent pas de l'appliquer à ${listPrice}€`);
+        return null;
+      }
+      
+      const promotion = {
+        kind: 'prompt',
+        name: `Promotion ${prompt.id}`,
+        prompt_ids: [prompt.id],
+        start_time: new Date(),
+        end_time: promotionEndDate
+      };
       
-      await this.api.updatePrompt(prompt.id, {
+      // Ne pas remiser un prompt en test A/B ou déjà concerné par une promotion prioritaire
+      const reservation = await this.promotionCalendar.reserve(promotion, calendar);
+      if (reservation.prompt_ids.length === 0) {
+        return null;
+      }
+      
+      const promotionPrice = discount.price;
+      
+      await this.priceHistory.setListPrice(prompt.id, listPrice);
+      await withReason('apply_promotion', () => this.api.updatePrompt(prompt.id, {
         price: promotionPrice,
         on_promotion: true,
-        promotion_percentage: promotionPercentage,
-        promotion_end_date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString() // 7 jours
+        promotion_percentage: discount.discountPercentage,
+        promotion_end_date: promotionEndDate.toISOString()
+      }));
+      await this.promotionCalendar.confirm(reservation);
+      
+      await this.recordPriceChange(prompt.id, prompt.price, promotionPrice, 'apply_promotion');
+      const recorded = await recordSafely(Promotion, {
+        type: 'prompt',
+        name: promotion.name,
+        prompt_ids: promotion.prompt_ids,
+        discount_percentage: discount.discountPercentage,
+        list_prices: { [prompt.id]: listPrice },
+        start_time: promotion.start_time,
+        end_time: promotionEndDate,
+        status: 'active',
+        source: 'weekly-renovation'
       });
       
-      console.log(`Promotion de ${promotionPercentage}% appliquée au prompt ${prompt.id}, prix ajusté de ${prompt.price}€ à ${promotionPrice}€`);
+      if (calendar) {
+        this.promotionCalendar.add(calendar, { ...promotion, id: recorded ? recorded._id.toString() : undefined }, { source: 'local' });
+      }
+      
+      console.log(`Promotion de ${discount.discountPercentage}% appliquée au prompt ${prompt.id}, prix ajusté de ${prompt.price}€ à ${promotionPrice}€`);
       
       return {
         type: 'apply_promotion',
         promptId: prompt.id,
         oldPrice: prompt.price,
         newPrice: promotionPrice,
-        promotionPercentage,
+        promotionPercentage: discount.discountPercentage,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -527,6 +927,143 @@ class OptimizationEngine {
       return null;
     }
   }
+
+  /**
+   * Modifie le prix d'un prompt, après approbation si la variation dépasse le seuil
+   * @param {Object} prompt - Données du prompt
+   * @param {number} newPrice - Nouveau prix
+   * @param {string} reason - Raison du changement
+   * @returns {Promise<boolean>} - true si le prix a été modifié, false s'il attend une approbation
+   */
+  async changePrice(prompt, newPrice, reason) {
+    const details = { promptId: prompt.id, oldPrice: prompt.price, newPrice, reason, category: prompt.category };
+    
+    // Délai minimal et dérive maximale : inutile de proposer un changement qui serait refusé
+    const check = await this.priceHistory.checkChange(prompt.id, prompt.price, newPrice);
+    if (!check.allowed) {
+      console.log(`Changement de prix du prompt ${prompt.id} non appliqué: ${check.reason}`);
+      return false;
+    }
+    
+    if (!this.approvalService) {
+      await this.applyPriceChange(details);
+      return true;
+    }
+    
+    const outcome = await this.approvalService.submit('price_change', {
+      targetId: prompt.id,
+      summary: `Prix du prompt "${prompt.title || prompt.id}" de ${prompt.price}€ à ${newPrice}€ (${reason})`,
+      details
+    });
+    
+    if (outcome.status === 'pending') {
+      console.log(`Changement de prix du prompt ${prompt.id} en attente d'approbation`);
+    }
+    
+    return outcome.status === 'executed';
+  }
+
+  /**
+   * Applique un changement de prix et l'enregistre dans l'historique
+   * Une proposition approuvée tardivement peut être périmée : le prix actuel est relu et le
+   * changement est refusé s'il ne part plus du prix proposé ou si le prompt est passé en promotion.
+   * Les garde-fous (délai minimal, dérive maximale) sont ensuite vérifiés à nouveau.
+   * @param {Object} details - Changement de prix (promptId, oldPrice, newPrice, reason, category)
+   * @returns {Promise<Object>} - Prompt mis à jour
+   * @throws {Error} - Si la proposition est périmée ou refusée par les garde-fous
+   */
+  async applyPriceChange({ promptId, oldPrice, newPrice, reason, category }) {
+    const current = await this.api.getPrompt(promptId);
+    
+    if (current.on_promotion) {
+      throw new Error(`Changement de prix du prompt ${promptId} périmé: le prompt est en promotion`);
+    }
+    
+    if (current.price !== oldPrice) {
+      throw new Error(`Changement de prix du prompt ${promptId} périmé: le prix est passé de ${oldPrice}€ à ${current.price}€ depuis la proposition`);
+    }
+    
+    return withReason(reason, () => this.priceHistory.changePrice(promptId, oldPrice, newPrice, {
+      reason,
+      source: 'optimization-engine',
+      category
+    }));
+  }
+
+  /**
+   * Réécrit le titre et la description d'un prompt, après approbation si nécessaire
+   * @param {Object} prompt - Données du prompt
+   * @param {Object} update - Champs réécrits
+   * @param {string} reason - Raison de la réécriture
+   * @returns {Promise<boolean>} - true si le contenu a été modifié, false s'il attend une approbation
+   */
+  async changeContent(prompt, update, reason) {
+    const details = { promptId: prompt.id, update, reason };
+    
+    if (!this.approvalService) {
+      await this.applyContentRewrite(details);
+      return true;
+    }
+    
+    const outcome = await this.approvalService.submit('content_rewrite', {
+      targetId: prompt.id,
+      summary: `Réécriture du prompt "${prompt.title}" en "${update.title}" (${reason})`,
+      details: { ...details, oldTitle: prompt.title, oldDescription: prompt.description }
+    });
+    
+    if (outcome.status === 'pending') {
+      console.log(`Réécriture du prompt ${prompt.id} en attente d'approbation`);
+    }
+    
+    return outcome.status === 'executed';
+  }
+
+  /**
+   * Applique une réécriture de contenu
+   * @param {Object} details - Réécriture (promptId, update, reason)
+   * @returns {Promise<Object>} - Prompt mis à jour
+   */
+  async applyContentRewrite({ promptId, update, reason }) {
+    return withReason(reason, () => this.api.updatePrompt(promptId, update));
+  }
+
+  /**
+   * Enregistre un changement de prix dans l'historique
+   * @param {string} promptId - ID du prompt
+   * @param {number} oldPrice - Ancien prix
+   * @param {number} newPrice - Nouveau prix
+   * @param {string} reason - Raison du changement
+   * @returns {Promise<Object|null>} - Changement enregistré
+   */
+  async recordPriceChange(promptId, oldPrice, newPrice, reason) {
+    return this.priceHistory.record(promptId, oldPrice, newPrice, reason, 'optimization-engine');
+  }
+
+  /**
+   * Enregistre les actions effectuées par une tâche d'optimisation
+   * @param {string} job - Tâche à l'origine des actions (hourly, daily, weekly)
+   * @param {Array} actions - Actions effectuées
+   * @returns {Promise<void>}
+   */
+  async recordActions(job, actions) {
+    if (actions.length === 0 || isDryRun()) {
+      return;
+    }
+    
+    const context = getJobContext();
+    
+    try {
+      await OptimizationAction.insertMany(actions.map(action => ({
+        job,
+        run_id: context ? context.runId : undefined,
+        type: action.type || action.reason,
+        prompt_id: action.promptId || action.id,
+        details: action
+      })));
+    } catch (error) {
+      console.error(`Erreur lors de l'enregistrement des actions (${job}):`, error.message);
+    }
+  }
 }
 
 module.exports = OptimizationEngine;
\ No newline at end of file
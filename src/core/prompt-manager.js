@@ -8,7 +8,10 @@ const fs = require('fs').promises;
 const path = require('path');
 const { generatePromptImage } = require('../utils/image-generator');
 const { formatForAPI } = require('../utils/formatters');
+const { applyBundlePricing, roundToCents } = require('../utils/pricing-policy');
 const { sendNotification } = require('../utils/notifications');
+const { storePromptVariations } = require('../services/variation-storage');
+const { Prompt, Bundle, Sale, recordSafely } = require('../database');
 
 class PromptManager {
   /**
@@ -18,7 +21,6 @@ class PromptManager {
   constructor(api) {
     this.api = api;
     this.promptsPath = path.join(__dirname, '../../config/prompts-database.json');
-    this.publishedPrompts = new Map(); // Map des prompts publiés (id -> détails)
   }
 
   /**
@@ -45,10 +47,8 @@ class PromptManager {
       if (prompts && prompts.length > 0) {
         console.log(`${prompts.length} prompts existants trouvés sur la plateforme`);
         
-        // Stocker les prompts existants dans la map
-        prompts.forEach(prompt => {
-          this.publishedPrompts.set(prompt.id, prompt);
-        });
+        // Synchroniser le miroir local des prompts
+        await this.syncPrompts(prompts);
         
         return true;
       }
@@ -94,19 +94,13 @@ class PromptManager {
           const publishedPrompt = await this.api.createPrompt(apiData);
           publishedPrompts.push(publishedPrompt);
           
-          // Stocker le prompt publié dans la map
-          this.publishedPrompts.set(publishedPrompt.id, publishedPrompt);
+          // Stocker le prompt publié dans le miroir local
+          await this.syncPrompts([publishedPrompt], { source: 'initial', published_at: new Date() });
           
           // Stocker les variations pour les tests A/B futurs
           await this.storePromptVariations(publishedPrompt.id, promptData.variations);
           
           console.log(`Prompt #${index + 1} publié avec succès: ${publishedPrompt.id}`);
-          
-          // Attendre 30 secondes entre chaque publication pour éviter les rate limits
-          if (index < prompts.length - 1) {
-            console.log('Attente de 30 secondes avant la prochaine publication...');
-            await new Promise(resolve => setTimeout(resolve, 30000));
-          }
         } catch (error) {
           console.error(`Erreur lors de la publication du prompt #${index + 1}:`, error.message);
           
@@ -143,6 +137,21 @@ class PromptManager {
     }
   }
 
+  /**
+   * Synchronise le miroir local des prompts de la plateforme
+   * Une erreur de base de données n'interrompt pas le traitement appelant.
+   * @param {Array} prompts - Prompts renvoyés par l'API SnackPrompt
+   * @param {Object} [extra] - Champs supplémentaires à enregistrer
+   * @returns {Promise<void>}
+   */
+  async syncPrompts(prompts, extra = {}) {
+    try {
+      await Promise.all(prompts.map(prompt => Prompt.upsertFromPlatform(prompt, extra)));
+    } catch (error) {
+      console.error('Erreur lors de la synchronisation du miroir local des prompts:', error.message);
+    }
+  }
+
   /**
    * Stocke les variations d'un prompt pour les tests A/B futurs
    * @param {string} promptId - ID du prompt
@@ -151,9 +160,7 @@ class PromptManager {
    */
   async storePromptVariations(promptId, variations) {
     try {
-      // Dans une implémentation réelle, on stockerait cela dans une base de données
-      // Pour ce prototype, nous simulons le stockage
-      console.log(`Variations stockées pour le prompt ${promptId}:`, JSON.stringify(variations));
+      await storePromptVariations(promptId, variations);
     } catch (error) {
       console.error(`Erreur lors du stockage des variations pour le prompt ${promptId}:`, error.message);
     }
@@ -185,9 +192,9 @@ class PromptManager {
           const bundlePrompts = prompts.slice(0, Math.min(prompts.length, 5));
           
           // Calculer le prix du bundle (15% de réduction)
-          const originalPrice = bundlePrompts.reduce((sum, prompt) => sum + prompt.price, 0);
+          const originalPrice = roundToCents(bundlePrompts.reduce((sum, prompt) => sum + prompt.price, 0));
           const discountPercentage = parseFloat(process.env.DEFAULT_DISCOUNT_PERCENTAGE) || 15;
-          const bundlePrice = Math.round(originalPrice * (1 - discountPercentage / 100));
+          const bundlePrice = applyBundlePricing(originalPrice * (1 - discountPercentage / 100));
           
           // Créer le bundle
           const bundleData = {
@@ -200,6 +207,7 @@ class PromptManager {
           
           const createdBundle = await this.api.createBundle(bundleData);
           createdBundles.push(createdBundle);
+          await recordSafely(Bundle, { bundle_id: createdBundle.id, ...bundleData });
           
           console.log(`Bundle "${createdBundle.name}" créé avec succès`);
         }
@@ -208,8 +216,8 @@ class PromptManager {
       // Créer un bundle avec tous les prompts si assez nombreux
       if (publishedPrompts.length >= 5) {
         const allPromptsIds = publishedPrompts.map(p => p.id);
-        const originalPrice = publishedPrompts.reduce((sum, prompt) => sum + prompt.price, 0);
-        const bundlePrice = Math.round(originalPrice * 0.7); // 30% de réduction
+        const originalPrice = roundToCents(publishedPrompts.reduce((sum, prompt) => sum + prompt.price, 0));
+        const bundlePrice = applyBundlePricing(originalPrice * 0.7); // 30% de réduction
         
         const completeBundleData = {
           name: 'Pack Complet - Collection Ultime',
@@ -221,6 +229,7 @@ class PromptManager {
         
         const completeBundle = await this.api.createBundle(completeBundleData);
         createdBundles.push(completeBundle);
+        await recordSafely(Bundle, { bundle_id: completeBundle.id, ...completeBundleData });
         
         console.log(`Bundle complet "${completeBundle.name}" créé avec succès`);
       }
@@ -239,16 +248,22 @@ class PromptManager {
    */
   async handleSaleCompleted(saleData) {
     try {
-      const { userId, promptId, sale_price } = saleData;
+      const { userId, promptId, sale_price, saleId, currency } = saleData;
       
       console.log(`Vente complétée - Prompt: ${promptId}, Utilisateur: ${userId}, Prix: ${sale_price}`);
       
+      // Enregistrer la vente
+      await recordSafely(Sale, {
+        sale_id: saleId,
+        user_id: userId,
+        prompt_id: promptId,
+        amount: sale_price,
+        currency
+      });
+      
       // Envoyer une offre de cross-selling pour les autres prompts
       await this.sendCrossSellOffer(userId, promptId);
       
-      // Mettre à jour les statistiques internes
-      // Dans une implémentation réelle, on stockerait cela dans une base de données
-      
       // Envoyer une notification de vente
       await sendNotification({
         type: 'info',
@@ -269,17 +284,20 @@ class PromptManager {
   async sendCrossSellOffer(userId, purchasedPromptId) {
     try {
       // Obtenir le prompt acheté
-      const purchasedPrompt = this.publishedPrompts.get(purchasedPromptId);
+      const purchasedPrompt = await Prompt.findOne({ prompt_id: purchasedPromptId }).lean();
       
       if (!purchasedPrompt) {
-        console.warn(`Prompt acheté ${purchasedPromptId} non trouvé dans la map des prompts`);
+        console.warn(`Prompt acheté ${purchasedPromptId} non trouvé dans le miroir local des prompts`);
         return;
       }
       
       // Trouver des prompts complémentaires
-      const complementaryPrompts = Array.from(this.publishedPrompts.values())
-        .filter(p => p.id !== purchasedPromptId && p.category === purchasedPrompt.category)
-        .slice(0, 3);
+      const complementaryPrompts = await Prompt.find({
+        prompt_id: { $ne: purchasedPromptId },
+        category: purchasedPrompt.category
+      })
+        .limit(3)
+        .lean();
       
       if (complementaryPrompts.length === 0) {
         console.log('Aucun prompt complémentaire trouvé pour l\'offre de cross-selling');
@@ -289,7 +307,7 @@ class PromptManager {
       // Créer une offre personnalisée avec 20% de réduction
       const offerData = {
         user_id: userId,
-        prompt_ids: complementaryPrompts.map(p => p.id),
+        prompt_ids: complementaryPrompts.map(p => p.prompt_id),
         discount_percentage: 20,
         expires_in: 72, // 72 heures
         message: `Complétez votre collection ${purchasedPrompt.category} avec ces prompts complémentaires à -20%`
@@ -0,0 +1,128 @@
+/**
+ * Base de données
+ * -------------------------------------------------
+ * Gère la connexion à MongoDB et expose les modèles de données
+ */
+
+const mongoose = require('mongoose');
+const models = require('./models');
+const { isDryRun } = require('../utils/job-context');
+
+// Paramètres de connexion
+const connectionParams = {
+  maxRetries: parseInt(process.env.MONGODB_MAX_RETRIES, 10) || 5,
+  initialRetryDelay: 2000, // 2 secondes, doublé à chaque tentative
+  maxRetryDelay: 60 * 1000 // 1 minute
+};
+
+let listenersRegistered = false;
+
+/**
+ * Enregistre les écouteurs d'événements de la connexion
+ */
+const registerConnectionListeners = () => {
+  if (listenersRegistered) {
+    return;
+  }
+
+  mongoose.connection.on('disconnected', () => {
+    console.warn('Connexion à MongoDB perdue, reconnexion automatique en cours...');
+  });
+
+  mongoose.connection.on('reconnected', () => {
+    console.log('Connexion à MongoDB rétablie');
+  });
+
+  mongoose.connection.on('error', error => {
+    console.error('Erreur de connexion MongoDB:', error.message);
+  });
+
+  listenersRegistered = true;
+};
+
+/**
+ * Initialise la connexion à la base de données avec nouvelles tentatives
+ * @param {Object} [options] - Options de connexion
+ * @param {string} [options.uri] - URI MongoDB (défaut: MONGODB_URI)
+ * @param {number} [options.maxRetries] - Nombre maximal de tentatives
+ * @returns {Promise<Object>} - Connexion Mongoose
+ */
+const initializeDatabase = async (options = {}) => {
+  const uri = options.uri || process.env.MONGODB_URI || 'mongodb://localhost:27017/prompt-automation';
+  const maxRetries = options.maxRetries || connectionParams.maxRetries;
+
+  // Déjà connecté (par exemple lors d'un redémarrage de startSystem)
+  if (mongoose.connection.readyState === 1) {
+    return mongoose.connection;
+  }
+
+  registerConnectionListeners();
+
+  let retryDelay = connectionParams.initialRetryDelay;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      console.log(`Connexion à MongoDB (tentative ${attempt}/${maxRetries})...`);
+
+      await mongoose.connect(uri, {
+        serverSelectionTimeoutMS: 10000
+      });
+
+      console.log('Connexion à MongoDB établie');
+      return mongoose.connection;
+    } catch (error) {
+      console.error(`Échec de la connexion à MongoDB (tentative ${attempt}/${maxRetries}):`, error.message);
+
+      if (attempt === maxRetries) {
+        throw new Error(`Impossible de se connecter à MongoDB après ${maxRetries} tentatives: ${error.message}`);
+      }
+
+      console.log(`Nouvelle tentative dans ${retryDelay / 1000} secondes...`);
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
+      retryDelay = Math.min(retryDelay * 2, connectionParams.maxRetryDelay);
+    }
+  }
+};
+
+/**
+ * Ferme la connexion à la base de données
+ * @returns {Promise<void>}
+ */
+const closeDatabase = async () => {
+  await mongoose.disconnect();
+  console.log('Connexion à MongoDB fermée');
+};
+
+/**
+ * Indique si la connexion à la base de données est active
+ * @returns {boolean} - true si connecté
+ */
+const isDatabaseConnected = () => mongoose.connection.readyState === 1;
+
+/**
+ * Enregistre un document sans interrompre le traitement appelant en cas d'échec
+ * En simulation, rien n'est enregistré : les écritures correspondantes n'ont pas été appliquées.
+ * @param {Object} Model - Modèle Mongoose
+ * @param {Object} data - Données du document
+ * @returns {Promise<Object|null>} - Document créé ou null en cas d'erreur
+ */
+const recordSafely = async (Model, data) => {
+  if (isDryRun()) {
+    return null;
+  }
+  
+  try {
+    return await Model.create(data);
+  } catch (error) {
+    console.error(`Erreur lors de l'enregistrement (${Model.modelName}):`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  initializeDatabase,
+  closeDatabase,
+  isDatabaseConnected,
+  recordSafely,
+  ...models
+};
@@ -0,0 +1,29 @@
+/**
+ * Modèle des tests A/B
+ * -------------------------------------------------
+ * Trace chaque test A/B planifié pour pouvoir le terminer même après
+ * un redémarrage du système
+ */
+
+const mongoose = require('mongoose');
+
+const abTestSchema = new mongoose.Schema({
+  prompt_id: { type: String, required: true, index: true },
+  variation_index: { type: Number, required: true },
+  started_at: { type: Date, required: true },
+  ends_at: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ['running', 'finishing', 'completed', 'failed'],
+    default: 'running'
+  },
+  completed_at: Date,
+  attempts: { type: Number, default: 0 },
+  last_error: String
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+abTestSchema.index({ status: 1, ends_at: 1 });
+
+module.exports = mongoose.model('ABTest', abTestSchema);
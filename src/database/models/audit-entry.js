@@ -0,0 +1,49 @@
+/**
+ * Modèle du journal d'audit
+ * -------------------------------------------------
+ * Écritures effectuées sur SnackPrompt par le système. Le journal est en
+ * ajout seul : une entrée n'est jamais modifiée ni supprimée.
+ */
+
+const mongoose = require('mongoose');
+
+const auditEntrySchema = new mongoose.Schema({
+  actor: { type: String, required: true, index: true }, // Job à l'origine de l'écriture (hourly, daily, approval...) ou system
+  correlation_id: { type: String, required: true, index: true }, // Exécution du job (ou écriture isolée)
+  method: { type: String, required: true },
+  endpoint: { type: String, required: true },
+  resource_type: { type: String, required: true },
+  resource_id: String,
+  action: String, // Action sur la ressource (cancel, approve, deny...)
+  prompt_ids: { type: [String], index: true }, // Prompts concernés
+  reason: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  outcome: { type: String, enum: ['succeeded', 'failed'], required: true },
+  status_code: Number,
+  error: String
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+auditEntrySchema.index({ created_at: -1 });
+auditEntrySchema.index({ actor: 1, created_at: -1 });
+
+// Journal en ajout seul
+const rejectMutation = function (next) {
+  next(new Error('Le journal d\'audit est en ajout seul'));
+};
+
+auditEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+auditEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
@@ -0,0 +1,20 @@
+/**
+ * Modèle des bundles
+ * -------------------------------------------------
+ * Bundles de prompts créés sur la plateforme
+ */
+
+const mongoose = require('mongoose');
+
+const bundleSchema = new mongoose.Schema({
+  bundle_id: { type: String, required: true, unique: true }, // ID sur la plateforme
+  name: String,
+  description: String,
+  prompt_ids: { type: [String], default: [] },
+  price: Number,
+  original_price: Number
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+module.exports = mongoose.model('Bundle', bundleSchema);
@@ -0,0 +1,27 @@
+/**
+ * Modèle des questions clients
+ * -------------------------------------------------
+ * Questions reçues et réponses envoyées par le service client
+ */
+
+const mongoose = require('mongoose');
+
+const customerQuestionSchema = new mongoose.Schema({
+  question_id: { type: String, index: true },
+  user_id: String,
+  prompt_id: String,
+  question: String,
+  category: String,
+  response: String,
+  status: {
+    type: String,
+    enum: ['answered', 'fallback', 'failed'],
+    required: true
+  },
+  error: String,
+  answered_at: Date
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+module.exports = mongoose.model('CustomerQuestion', customerQuestionSchema);
@@ -0,0 +1,24 @@
+/**
+ * Modèles de données
+ * -------------------------------------------------
+ * Point d'entrée de tous les modèles Mongoose
+ */
+
+module.exports = {
+  Prompt: require('./prompt'),
+  PromptVariation: require('./prompt-variation'),
+  PriceChange: require('./price-change'),
+  ABTest: require('./ab-test'),
+  Promotion: require('./promotion'),
+  Bundle: require('./bundle'),
+  Sale: require('./sale'),
+  PromptView: require('./prompt-view'),
+  CustomerQuestion: require('./customer-question'),
+  RefundDecision: require('./refund-decision'),
+  OptimizationAction: require('./optimization-action'),
+  WebhookEvent: require('./webhook-event'),
+  WebhookDeadLetter: require('./webhook-dead-letter'),
+  PendingAction: require('./pending-action'),
+  AuditEntry: require('./audit-entry'),
+  PromptRevision: require('./prompt-revision')
+};
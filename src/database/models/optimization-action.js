@@ -0,0 +1,21 @@
+/**
+ * Modèle des actions d'optimisation
+ * -------------------------------------------------
+ * Actions effectuées par le moteur d'optimisation
+ */
+
+const mongoose = require('mongoose');
+
+const optimizationActionSchema = new mongoose.Schema({
+  job: { type: String, required: true }, // hourly, daily, weekly
+  run_id: { type: String, index: true }, // Exécution du job, reprise par le journal d'audit (correlation_id)
+  type: { type: String, required: true },
+  prompt_id: { type: String, index: true },
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+optimizationActionSchema.index({ job: 1, created_at: -1 });
+
+module.exports = mongoose.model('OptimizationAction', optimizationActionSchema);
@@ -0,0 +1,44 @@
+/**
+ * Modèle des actions en attente de validation
+ * -------------------------------------------------
+ * Actions automatisées à fort impact proposées à un humain avant exécution
+ */
+
+const mongoose = require('mongoose');
+
+const pendingActionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['price_change', 'content_rewrite', 'event_promotion', 'refund_denial'],
+    required: true,
+    index: true
+  },
+  target_id: { type: String, required: true },
+  summary: String,
+  details: { type: mongoose.Schema.Types.Mixed, required: true },
+  job: String,
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired', 'executed', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  token: { type: String, required: true, select: false }, // Jeton des liens d'approbation
+  expires_at: { type: Date, required: true, index: true },
+  decided_at: Date,
+  decided_by: String,
+  decision_reason: String,
+  executed_at: Date,
+  result: mongoose.Schema.Types.Mixed,
+  last_error: String
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Une seule proposition en attente par action et par cible
+pendingActionSchema.index(
+  { type: 1, target_id: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('PendingAction', pendingActionSchema);
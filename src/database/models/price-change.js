@@ -0,0 +1,23 @@
+/**
+ * Modèle des changements de prix
+ * -------------------------------------------------
+ * Historique des prix appliqués aux prompts
+ */
+
+const mongoose = require('mongoose');
+
+const priceChangeSchema = new mongoose.Schema({
+  prompt_id: { type: String, required: true },
+  old_price: Number,
+  new_price: { type: Number, required: true },
+  reason: String,
+  source: String, // Service à l'origine du changement
+  job: String, // Job à l'origine du changement (hourly, daily...)
+  run_id: String // Exécution du job (correlation_id du journal d'audit)
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+priceChangeSchema.index({ prompt_id: 1, created_at: -1 });
+
+module.exports = mongoose.model('PriceChange', priceChangeSchema);
@@ -0,0 +1,42 @@
+/**
+ * Modèle des promotions
+ * -------------------------------------------------
+ * Promotions programmées sur la plateforme ou appliquées à un prompt
+ * Une promotion de prompt est une surcouche : elle remise le prix catalogue
+ * entre start_time et end_time, puis le prix catalogue est rétabli tel quel.
+ */
+
+const mongoose = require('mongoose');
+
+const promotionSchema = new mongoose.Schema({
+  promotion_id: { type: String, index: true }, // ID sur la plateforme (promotions programmées)
+  type: {
+    type: String,
+    enum: ['flash_sale', 'special_event', 'prompt'],
+    required: true
+  },
+  name: String,
+  description: String,
+  prompt_ids: { type: [String], default: [] },
+  discount_percentage: { type: Number, required: true },
+  list_prices: { type: Map, of: Number }, // Prix catalogue des prompts remisés (ID du prompt -> prix)
+  start_time: Date,
+  end_time: Date,
+  status: {
+    type: String,
+    enum: ['scheduled', 'activating', 'active', 'expiring', 'expired', 'cancelled', 'failed'],
+    default: 'scheduled'
+  },
+  source: String,
+  activated_at: Date, // Passage effectif à l'état actif
+  expired_at: Date, // Passage effectif à l'état expiré
+  attempts: { type: Number, default: 0 }, // Tentatives de la transition en cours
+  last_error: String
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+promotionSchema.index({ status: 1, end_time: 1 });
+promotionSchema.index({ status: 1, start_time: 1 });
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,35 @@
+/**
+ * Modèle des révisions de prompts
+ * -------------------------------------------------
+ * Versions successives du contenu publié d'un prompt, avec leur période de
+ * mise en ligne et l'origine de chaque modification (job, test A/B)
+ */
+
+const mongoose = require('mongoose');
+
+const promptRevisionSchema = new mongoose.Schema({
+  prompt_id: { type: String, required: true },
+  revision: { type: Number, required: true }, // Numéro de révision, à partir de 1
+  title: String,
+  description: String,
+  prompt_text: String,
+  tags: { type: [String], default: undefined },
+  price: Number,
+  image_url: String,
+  changed_fields: [String], // Champs modifiés par rapport à la révision précédente
+  live_from: { type: Date, required: true },
+  live_until: { type: Date, default: null }, // null tant que la révision est en ligne
+  job: String, // Job à l'origine de la révision
+  run_id: String, // Exécution du job (correlation_id du journal d'audit)
+  reason: String,
+  variation_index: Number, // Variante publiée par un test A/B ou un bandit
+  ab_test_id: { type: mongoose.Schema.Types.ObjectId, ref: 'ABTest' }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+promptRevisionSchema.index({ prompt_id: 1, revision: -1 }, { unique: true });
+promptRevisionSchema.index({ prompt_id: 1, live_from: 1 });
+promptRevisionSchema.index({ run_id: 1 });
+
+module.exports = mongoose.model('PromptRevision', promptRevisionSchema);
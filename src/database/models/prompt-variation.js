@@ -0,0 +1,60 @@
+/**
+ * Modèle des variations de prompts
+ * -------------------------------------------------
+ * Stocke les variantes de titre/description d'un prompt et les résultats
+ * de chaque test A/B
+ */
+
+const mongoose = require('mongoose');
+
+// Résultats d'une variante sur sa fenêtre de test
+const variationResultSchema = new mongoose.Schema({
+  variation_index: { type: Number, required: true },
+  title: String,
+  description: String,
+  views: { type: Number, default: 0 },
+  sales: { type: Number, default: 0 },
+  conversion: { type: Number, default: 0 }, // Taux de conversion (0-1)
+  test_started_at: Date,
+  test_ended_at: Date
+}, { _id: false });
+
+// Compteurs d'un bras du bandit manchot (une variante)
+const banditArmSchema = new mongoose.Schema({
+  variation_index: { type: Number, required: true },
+  views: { type: Number, default: 0 },
+  sales: { type: Number, default: 0 },
+  exposures: { type: Number, default: 0 } // Nombre de rotations où la variante a été affichée
+}, { _id: false });
+
+const promptVariationSchema = new mongoose.Schema({
+  prompt_id: { type: String, required: true, unique: true },
+  titles: { type: [String], default: [] },
+  descriptions: { type: [String], default: [] },
+  tested_count: { type: Number, default: 0 }, // Nombre de variantes dont le test est terminé
+  testing_mode: { type: String, enum: ['sequential', 'bandit'] }, // Mode forcé pour ce prompt
+  bandit: {
+    active_index: Number,
+    snapshot_views: Number, // Vues cumulées du prompt lors de la dernière rotation
+    snapshot_sales: Number, // Ventes cumulées du prompt lors de la dernière rotation
+    rotated_at: Date,
+    arms: { type: [banditArmSchema], default: undefined }
+  },
+  current_test: {
+    variation_index: Number,
+    started_at: Date,
+    ends_at: Date
+  },
+  results: { type: [variationResultSchema], default: [] },
+  decision: {
+    outcome: { type: String, enum: ['winner', 'keep_control', 'inconclusive'] },
+    winner_index: Number,
+    confidence: Number,
+    rationale: String,
+    decided_at: Date
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+module.exports = mongoose.model('PromptVariation', promptVariationSchema);
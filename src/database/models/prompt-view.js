@@ -0,0 +1,22 @@
+/**
+ * Modèle des vues de prompts
+ * -------------------------------------------------
+ * Vues reçues en temps réel via le webhook prompt.viewed
+ */
+
+const mongoose = require('mongoose');
+
+// Durée de conservation des vues individuelles
+const VIEW_RETENTION_SECONDS = 7 * 24 * 60 * 60; // 7 jours
+
+const promptViewSchema = new mongoose.Schema({
+  view_id: String,
+  prompt_id: { type: String, required: true },
+  user_id: String,
+  source: String,
+  viewed_at: { type: Date, default: Date.now, expires: VIEW_RETENTION_SECONDS }
+});
+
+promptViewSchema.index({ prompt_id: 1, viewed_at: -1 });
+
+module.exports = mongoose.model('PromptView', promptViewSchema);
@@ -0,0 +1,65 @@
+/**
+ * Modèle des prompts
+ * -------------------------------------------------
+ * Miroir local des prompts publiés sur SnackPrompt
+ */
+
+const mongoose = require('mongoose');
+
+const promptSchema = new mongoose.Schema({
+  prompt_id: { type: String, required: true, unique: true }, // ID sur la plateforme
+  title: String,
+  description: String,
+  prompt_text: String,
+  price: Number, // Prix affiché, remisé pendant une promotion
+  list_price: Number, // Prix catalogue, restauré à la fin des promotions
+  category: { type: String, index: true },
+  tags: { type: [String], default: [] },
+  image_url: String,
+  on_promotion: { type: Boolean, default: false },
+  promotion_percentage: { type: Number, default: 0 },
+  promotion_end_date: Date,
+  currently_testing: { type: Boolean, default: false },
+  source: { type: String, enum: ['initial', 'generated', 'platform'], default: 'platform' },
+  published_at: Date,
+  synced_at: Date
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+/**
+ * Crée ou met à jour le miroir local d'un prompt de la plateforme
+ * @param {Object} prompt - Prompt renvoyé par l'API SnackPrompt
+ * @param {Object} [extra] - Champs supplémentaires (source, published_at...)
+ * @returns {Promise<Object>} - Document mis à jour
+ */
+promptSchema.statics.upsertFromPlatform = function (prompt, extra = {}) {
+  const fields = {
+    title: prompt.title,
+    description: prompt.description,
+    prompt_text: prompt.prompt_text || prompt.content,
+    price: prompt.price,
+    category: prompt.category,
+    tags: prompt.tags,
+    image_url: prompt.image_url,
+    on_promotion: prompt.on_promotion,
+    promotion_percentage: prompt.promotion_percentage,
+    promotion_end_date: prompt.promotion_end_date,
+    currently_testing: prompt.currently_testing,
+    // Hors promotion, le prix affiché est le prix catalogue
+    list_price: prompt.on_promotion ? undefined : prompt.price,
+    ...extra,
+    synced_at: new Date()
+  };
+
+  // Ne pas écraser les champs absents de la réponse de l'API
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+
+  return this.findOneAndUpdate(
+    { prompt_id: prompt.id },
+    { $set: fields },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+module.exports = mongoose.model('Prompt', promptSchema);
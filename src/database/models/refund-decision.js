@@ -0,0 +1,29 @@
+/**
+ * Modèle des décisions de remboursement
+ * -------------------------------------------------
+ * Décisions prises sur les demandes de remboursement
+ */
+
+const mongoose = require('mongoose');
+
+const refundDecisionSchema = new mongoose.Schema({
+  refund_id: { type: String, index: true },
+  user_id: { type: String, index: true },
+  prompt_id: String,
+  purchase_id: String,
+  request_reason: String,
+  decision: {
+    type: String,
+    enum: ['approved', 'denied', 'manual_review', 'failed'],
+    required: true
+  },
+  automatic: { type: Boolean, default: true },
+  rationale: String,
+  days_since_purchase: Number,
+  previous_refunds: Number,
+  purchases_count: Number
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+module.exports = mongoose.model('RefundDecision', refundDecisionSchema);
@@ -0,0 +1,20 @@
+/**
+ * Modèle des ventes
+ * -------------------------------------------------
+ * Ventes reçues via les webhooks de la plateforme
+ */
+
+const mongoose = require('mongoose');
+
+const saleSchema = new mongoose.Schema({
+  sale_id: { type: String, index: true },
+  user_id: String,
+  prompt_id: { type: String, required: true, index: true },
+  amount: Number,
+  currency: String,
+  sold_at: { type: Date, default: Date.now }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+module.exports = mongoose.model('Sale', saleSchema);
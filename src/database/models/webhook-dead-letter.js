@@ -0,0 +1,30 @@
+/**
+ * Modèle des événements webhook en échec
+ * -------------------------------------------------
+ * Événements dont toutes les tentatives de traitement ont échoué,
+ * conservés pour inspection et rejeu manuel
+ */
+
+const mongoose = require('mongoose');
+
+const webhookDeadLetterSchema = new mongoose.Schema({
+  event_id: { type: String, required: true, index: true },
+  event: String,
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  attempts: Number,
+  failures: [{
+    attempt: Number,
+    error: String,
+    failed_at: Date
+  }],
+  status: {
+    type: String,
+    enum: ['dead', 'replayed'],
+    default: 'dead'
+  },
+  replayed_at: Date
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+module.exports = mongoose.model('WebhookDeadLetter', webhookDeadLetterSchema);
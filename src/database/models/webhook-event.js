@@ -0,0 +1,40 @@
+/**
+ * Modèle des événements webhook
+ * -------------------------------------------------
+ * File d'attente des événements webhook reçus : chaque événement est
+ * persisté dès sa réception puis traité en arrière-plan. L'identifiant
+ * unique permet d'ignorer les renvois de SnackPrompt déjà reçus.
+ */
+
+const mongoose = require('mongoose');
+
+// Durée de conservation des événements reçus
+const EVENT_RETENTION_SECONDS = 30 * 24 * 60 * 60; // 30 jours
+
+const webhookEventSchema = new mongoose.Schema({
+  event_id: { type: String, required: true, unique: true },
+  event: String,
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'retrying', 'processed', 'dead'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  next_attempt_at: { type: Date, default: Date.now },
+  claimed_at: Date,
+  processed_at: Date,
+  last_error: String,
+  failures: [{
+    attempt: Number,
+    error: String,
+    failed_at: Date
+  }],
+  received_at: { type: Date, default: Date.now, expires: EVENT_RETENTION_SECONDS }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+webhookEventSchema.index({ status: 1, next_attempt_at: 1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -7,13 +7,24 @@
 
 // Importation des dépendances
 require('dotenv').config({ path: './config/.env' });
+const fs = require('fs');
 const express = require('express');
 const cron = require('node-cron');
 const { initializeDatabase } = require('./database');
-const { registerWebhooks } = require('./webhooks');
+const {
+  registerWebhooks,
+  captureRawBody,
+  verifyWebhookSignature,
+  getEventId,
+  WebhookQueue,
+  WebhookDispatcher
+} = require('./webhooks');
 const { setupErrorHandling } = require('./utils/errors');
 const { setupLogging } = require('./utils/logging');
 const { sendNotification } = require('./utils/notifications');
+const { requireAdminToken } = require('./utils/admin-auth');
+const { runJob } = require('./utils/job-context');
+const { setTestingMode } = require('./services/variation-storage');
 
 // Importation des modules principaux
 const SnackPromptAPI = require('./api/snackprompt-api');
@@ -23,6 +34,14 @@ const AnalyticsService = require('./services/analytics-service');
 const CustomerService = require('./services/customer-service');
 const PromptGenerator = require('./services/prompt-generator');
 const PromotionService = require('./services/promotion-service');
+const PromotionLifecycle = require('./services/promotion-lifecycle');
+const ViewTracker = require('./services/view-tracker');
+const ApprovalService = require('./services/approval-service');
+const AuditLog = require('./services/audit-log');
+const RollbackService = require('./services/rollback-service');
+const RevisionHistory = require('./services/revision-history');
+const PriceHistory = require('./services/price-history');
+const { MockSnackPromptServer } = require('./mock/snackprompt-server');
 
 // Variables globales
 let isSystemInitialized = false;
@@ -33,6 +52,34 @@ let analyticsService;
 let customerService;
 let promptGenerator;
 let promotionService;
+let promotionLifecycle;
+let viewTracker;
+let approvalService;
+let auditLog;
+let rollbackService;
+let revisionHistory;
+let priceHistory;
+let webhookDispatcher;
+let webhookQueue;
+let mockServer;
+
+/**
+ * Démarrage du serveur SnackPrompt simulé pour le développement hors ligne
+ * L'état initial peut être chargé depuis le fichier JSON SNACKPROMPT_MOCK_SEED.
+ * @returns {Promise<string>} - URL de base de l'API simulée
+ */
+async function startMockServer() {
+  if (!mockServer) {
+    const seedFile = process.env.SNACKPROMPT_MOCK_SEED;
+    mockServer = new MockSnackPromptServer({
+      apiKey: process.env.SNACKPROMPT_API_KEY,
+      seed: seedFile ? JSON.parse(fs.readFileSync(seedFile, 'utf8')) : undefined
+    });
+    await mockServer.start(parseInt(process.env.SNACKPROMPT_MOCK_PORT, 10) || 4010);
+  }
+  
+  return mockServer.baseURL;
+}
 
 /**
  * Initialisation des services principaux
@@ -44,19 +91,40 @@ async function initializeServices() {
     // Initialisation de la base de données
     await initializeDatabase();
     
-    // Initialisation de l'API SnackPrompt
+    // Initialisation de l'API SnackPrompt (simulée en développement hors ligne)
+    const baseUrl = process.env.SNACKPROMPT_MOCK === 'true'
+      ? await startMockServer()
+      : process.env.SNACKPROMPT_API_URL;
+    
+    // Journal d'audit de toutes les écritures effectuées sur la plateforme et révisions des prompts
+    auditLog = new AuditLog();
+    revisionHistory = new RevisionHistory();
+    
     api = new SnackPromptAPI({
       apiKey: process.env.SNACKPROMPT_API_KEY,
-      secretKey: process.env.SNACKPROMPT_SECRET_KEY
+      secretKey: process.env.SNACKPROMPT_SECRET_KEY,
+      baseUrl,
+      auditLog,
+      revisionHistory
     });
     
     // Initialisation des services principaux
     promptManager = new PromptManager(api);
     analyticsService = new AnalyticsService(api);
-    optimizationEngine = new OptimizationEngine(api, analyticsService);
-    customerService = new CustomerService(api);
+    viewTracker = new ViewTracker();
+    approvalService = new ApprovalService();
+    optimizationEngine = new OptimizationEngine(api, analyticsService, viewTracker, approvalService, revisionHistory);
+    customerService = new CustomerService(api, approvalService);
     promptGenerator = new PromptGenerator(api);
-    promotionService = new PromotionService(api, analyticsService);
+    promotionService = new PromotionService(api, analyticsService, approvalService);
+    promotionLifecycle = new PromotionLifecycle(api, promotionService);
+    rollbackService = new RollbackService(api, auditLog);
+    priceHistory = new PriceHistory(api);
+    
+    // Initialisation du répartiteur et de la file de traitement des webhooks
+    webhookDispatcher = new WebhookDispatcher();
+    registerWebhookHandlers();
+    webhookQueue = new WebhookQueue(webhookDispatcher);
     
     console.log('Services initialisés avec succès');
     return true;
@@ -71,6 +139,25 @@ async function initializeServices() {
   }
 }
 
+/**
+ * Jobs automatisés modifiant le catalogue
+ * Chaque job peut être simulé (DRY_RUN, DRY_RUN_JOBS ou POST /admin/jobs/:job/run).
+ */
+const automationJobs = {
+  hourly: async () => {
+    const stats = await analyticsService.getPromptStats();
+    return optimizationEngine.hourlyOptimization(stats);
+  },
+  daily: async () => {
+    const allData = await analyticsService.getDetailedAnalytics();
+    return optimizationEngine.dailyOptimization(allData);
+  },
+  weekly: () => optimizationEngine.weeklyRenovation(),
+  bundles: () => promotionService.repriceBundles(),
+  generation: () => promptGenerator.generateNewPrompts(),
+  promotions: () => promotionService.setupDynamicPromotions()
+};
+
 /**
  * Configuration des tâches planifiées
  */
@@ -81,8 +168,7 @@ function setupScheduledTasks() {
   cron.schedule('0 * * * *', async () => {
     try {
       console.log('Exécution de l\'analyse horaire...');
-      const stats = await analyticsService.getPromptStats();
-      await optimizationEngine.hourlyOptimization(stats);
+      await runJob('hourly', automationJobs.hourly);
     } catch (error) {
       console.error('Erreur lors de l\'analyse horaire:', error);
     }
@@ -92,28 +178,65 @@ function setupScheduledTasks() {
   cron.schedule('0 3 * * *', async () => {
     try {
       console.log('Exécution de l\'optimisation quotidienne...');
-      const allData = await analyticsService.getDetailedAnalytics();
-      await optimizationEngine.dailyOptimization(allData);
+      await runJob('daily', automationJobs.daily);
     } catch (error) {
       console.error('Erreur lors de l\'optimisation quotidienne:', error);
     }
   });
   
+  // Clôture des tests A/B échus - Toutes les 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await optimizationEngine.finishDueABTests();
+    } catch (error) {
+      console.error('Erreur lors de la clôture des tests A/B:', error);
+    }
+  });
+  
+  // Expiration des actions non approuvées - Toutes les 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await approvalService.expirePendingActions();
+    } catch (error) {
+      console.error('Erreur lors de l\'expiration des actions en attente:', error);
+    }
+  });
+  
+  // Prise en compte des promotions créées depuis le dernier passage - Toutes les 5 minutes
+  // (les échéances elles-mêmes sont traitées à l'heure exacte par le timer du worker)
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await promotionLifecycle.refresh();
+    } catch (error) {
+      console.error('Erreur lors du cycle de vie des promotions:', error);
+    }
+  });
+  
   // Refonte hebdomadaire - Chaque lundi à 2h du matin
   cron.schedule('0 2 * * 1', async () => {
     try {
       console.log('Exécution de la refonte hebdomadaire...');
-      await optimizationEngine.weeklyRenovation();
+      await runJob('weekly', automationJobs.weekly);
     } catch (error) {
       console.error('Erreur lors de la refonte hebdomadaire:', error);
     }
   });
   
+  // Recalcul du prix des bundles après la refonte - Chaque lundi à 4h du matin
+  cron.schedule('0 4 * * 1', async () => {
+    try {
+      console.log('Recalcul du prix des bundles...');
+      await runJob('bundles', automationJobs.bundles);
+    } catch (error) {
+      console.error('Erreur lors du recalcul du prix des bundles:', error);
+    }
+  });
+  
   // Génération de nouveaux prompts - Chaque mercredi à 1h du matin
   cron.schedule('0 1 * * 3', async () => {
     try {
       console.log('Génération de nouveaux prompts...');
-      await promptGenerator.generateNewPrompts();
+      await runJob('generation', automationJobs.generation);
     } catch (error) {
       console.error('Erreur lors de la génération de nouveaux prompts:', error);
     }
@@ -123,7 +246,7 @@ function setupScheduledTasks() {
   cron.schedule('0 22 * * 0', async () => {
     try {
       console.log('Planification des promotions dynamiques...');
-      await promotionService.setupDynamicPromotions();
+      await runJob('promotions', automationJobs.promotions);
     } catch (error) {
       console.error('Erreur lors de la planification des promotions:', error);
     }
@@ -148,43 +271,452 @@ function setupScheduledTasks() {
   console.log('Tâches planifiées configurées avec succès');
 }
 
+/**
+ * Enregistrement des gestionnaires d'événements webhook
+ * Les données des événements (snake_case) sont converties au format attendu par les services.
+ */
+function registerWebhookHandlers() {
+  webhookDispatcher
+    .register('sale.completed', data => promptManager.handleSaleCompleted({
+      saleId: data.sale_id,
+      userId: data.user_id,
+      promptId: data.prompt_id,
+      sale_price: data.amount,
+      currency: data.currency
+    }))
+    .register('question.received', data => customerService.handleCustomerQuestion({
+      questionId: data.question_id,
+      userId: data.user_id,
+      promptId: data.prompt_id,
+      question: data.question
+    }))
+    .register('refund.requested', data => customerService.handleRefundRequest({
+      refundId: data.refund_id,
+      userId: data.user_id,
+      promptId: data.prompt_id,
+      purchaseId: data.purchase_id,
+      reason: data.reason
+    }))
+    .register('prompt.viewed', (data, envelope) => viewTracker.recordView({
+      viewId: data.view_id,
+      promptId: data.prompt_id,
+      userId: data.user_id,
+      source: data.source,
+      viewedAt: envelope.timestamp
+    }));
+}
+
 /**
  * Configuration des webhooks
  */
 function setupWebhooks(app) {
   console.log('Configuration des webhooks...');
   
-  app.post('/webhooks/customer-question', async (req, res) => {
+  // Point d'entrée unique : l'enveloppe { event, timestamp, data } est vérifiée (signature HMAC,
+  // fenêtre anti-rejeu), persistée puis acquittée ; le worker la transmet ensuite au gestionnaire
+  // du type d'événement. Un événement déjà reçu (même identifiant) n'est pas remis en file.
+  app.post('/webhooks', verifyWebhookSignature(), async (req, res) => {
+    const { event } = req.body || {};
+    
+    if (!event) {
+      return res.status(400).json({ error: 'Missing event type' });
+    }
+    
+    try {
+      const { duplicate } = await webhookQueue.enqueue(getEventId(req), req.body);
+      res.status(duplicate ? 200 : 202).json({ received: true, duplicate });
+    } catch (error) {
+      console.error(`Erreur lors de l'enregistrement de l'événement ${event}:`, error);
+      res.status(503).json({ error: 'Could not record event' });
+    }
+  });
+  
+  console.log(`Webhooks configurés avec succès (${webhookDispatcher.getEventTypes().join(', ')})`);
+}
+
+/**
+ * Configuration des routes d'administration
+ */
+function setupAdminRoutes(app) {
+  app.use('/admin', requireAdminToken);
+  
+  // Exécution manuelle d'un job, simulée par défaut : renvoie le plan des modifications
+  app.post('/admin/jobs/:job/run', async (req, res, next) => {
+    if (!Object.hasOwn(automationJobs, req.params.job)) {
+      return res.status(404).json({ error: 'Unknown job', jobs: Object.keys(automationJobs) });
+    }
+    
+    try {
+      const dryRun = !(req.body && req.body.dry_run === false);
+      const result = await runJob(req.params.job, automationJobs[req.params.job], { dryRun });
+      res.status(200).json(dryRun ? result : { dry_run: false, job: req.params.job, result });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  // Événements webhook en échec
+  app.get('/admin/webhooks/dead-letters', async (req, res, next) => {
+    try {
+      const deadLetters = await webhookQueue.listDeadLetters(req.query);
+      res.status(200).json(deadLetters);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  app.get('/admin/webhooks/dead-letters/:id', async (req, res, next) => {
+    try {
+      const deadLetter = await webhookQueue.getDeadLetter(req.params.id);
+      
+      if (!deadLetter) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+      
+      res.status(200).json(deadLetter);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  app.post('/admin/webhooks/dead-letters/:id/replay', async (req, res, next) => {
+    try {
+      const event = await webhookQueue.replay(req.params.id);
+      
+      if (!event) {
+        return res.status(404).json({ error: 'Dead letter not found or already replayed' });
+      }
+      
+      res.status(202).json(event);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  // Journal d'audit des écritures (filtres: prompt_id, job, correlation_id, resource_type, from, to, limit)
+  app.get('/admin/audit', async (req, res, next) => {
+    const invalidDates = ['from', 'to'].filter(field => req.query[field] && isNaN(Date.parse(req.query[field])));
+    
+    if (invalidDates.length > 0) {
+      return res.status(400).json({ error: 'Invalid date filter', fields: invalidDates });
+    }
+    
+    try {
+      const entries = await auditLog.query(req.query);
+      res.status(200).json(entries);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  app.get('/admin/audit/:id', async (req, res, next) => {
+    try {
+      const entry = await auditLog.getEntry(req.params.id);
+      
+      if (!entry) {
+        return res.status(404).json({ error: 'Audit entry not found' });
+      }
+      
+      res.status(200).json(entry);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  // Historique des prix d'un prompt
+  app.get('/admin/prompts/:id/prices', async (req, res, next) => {
+    try {
+      const history = await priceHistory.getHistory(req.params.id, Math.min(parseInt(req.query.limit, 10) || 100, 1000));
+      res.status(200).json(history);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  // Mode de test forcé d'un prompt ({ "mode": "sequential" | "bandit" | null pour le mode par défaut })
+  app.put('/admin/prompts/:id/testing-mode', async (req, res, next) => {
+    const mode = req.body ? req.body.mode : undefined;
+    
+    if (mode !== null && !['sequential', 'bandit'].includes(mode)) {
+      return res.status(400).json({ error: 'Invalid testing mode', modes: ['sequential', 'bandit', null] });
+    }
+    
+    try {
+      const variations = await setTestingMode(req.params.id, mode);
+      
+      if (!variations) {
+        return res.status(404).json({ error: 'No stored variations for this prompt' });
+      }
+      
+      res.status(200).json({ prompt_id: req.params.id, testing_mode: variations.testing_mode || null });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  // Chevauchements du calendrier des promotions (?from=...&to=...)
+  app.get('/admin/promotions/conflicts', async (req, res, next) => {
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({ error: 'Invalid date filter' });
+    }
+    
+    try {
+      const conflicts = await promotionService.promotionCalendar.findConflicts({ from, to });
+      res.status(200).json(conflicts);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  // Révisions du contenu d'un prompt
+  app.get('/admin/prompts/:id/revisions', async (req, res, next) => {
+    try {
+      const revisions = await revisionHistory.listRevisions(req.params.id);
+      res.status(200).json(revisions);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  // Comparaison de deux révisions (?from=1&to=3)
+  app.get('/admin/prompts/:id/revisions/diff', async (req, res, next) => {
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+    
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to revision numbers are required' });
+    }
+    
+    try {
+      const diff = await revisionHistory.diffRevisions(req.params.id, from, to);
+      
+      if (!diff) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      
+      res.status(200).json(diff);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  // Révisions en ligne pendant une période de ventes (?from=...&to=...)
+  app.get('/admin/prompts/:id/revisions/live', async (req, res, next) => {
+    const start = new Date(req.query.from);
+    const end = req.query.to ? new Date(req.query.to) : start;
+    
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({ error: 'Invalid date filter' });
+    }
+    
     try {
-      await customerService.handleCustomerQuestion(req.body);
-      res.status(200).send('Question traitée avec succès');
+      const revisions = await revisionHistory.getLiveRevisions(req.params.id, start, end);
+      res.status(200).json(revisions);
     } catch (error) {
-      console.error('Erreur lors du traitement de la question client:', error);
-      res.status(500).send('Erreur lors du traitement de la question');
+      next(error);
     }
   });
   
-  app.post('/webhooks/refund-request', async (req, res) => {
+  app.get('/admin/prompts/:id/revisions/:revision', async (req, res, next) => {
     try {
-      await customerService.handleRefundRequest(req.body);
-      res.status(200).send('Demande de remboursement traitée avec succès');
+      const revision = await revisionHistory.getRevision(req.params.id, parseInt(req.params.revision, 10));
+      
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      
+      res.status(200).json(revision);
     } catch (error) {
-      console.error('Erreur lors du traitement de la demande de remboursement:', error);
-      res.status(500).send('Erreur lors du traitement de la demande');
+      next(error);
     }
   });
   
-  app.post('/webhooks/sale-completed', async (req, res) => {
+  // Retour arrière d'une écriture ou d'une exécution de job ({ "dry_run": true } pour obtenir le plan)
+  app.post('/admin/rollback/entries/:id', async (req, res, next) => {
     try {
-      await promptManager.handleSaleCompleted(req.body);
-      res.status(200).send('Vente traitée avec succès');
+      const result = await rollbackService.rollbackEntry(req.params.id, { dryRun: Boolean(req.body && req.body.dry_run) });
+      
+      if (!result) {
+        return res.status(404).json({ error: 'Audit entry not found' });
+      }
+      
+      const outcome = result.dry_run ? result.result : result;
+      if (outcome.rolled_back.length === 0 && outcome.skipped.some(skipped => skipped.entry_id)) {
+        return res.status(422).json({ error: 'Entry cannot be rolled back', ...outcome });
+      }
+      
+      res.status(200).json(result);
     } catch (error) {
-      console.error('Erreur lors du traitement de la vente:', error);
-      res.status(500).send('Erreur lors du traitement de la vente');
+      next(error);
     }
   });
   
-  console.log('Webhooks configurés avec succès');
+  app.post('/admin/rollback/runs/:runId', async (req, res, next) => {
+    try {
+      const result = await rollbackService.rollbackRun(req.params.runId, { dryRun: Boolean(req.body && req.body.dry_run) });
+      
+      if (!result) {
+        return res.status(404).json({ error: 'No audited writes for this run' });
+      }
+      
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  // Actions soumises à approbation
+  app.get('/admin/approvals', async (req, res, next) => {
+    try {
+      const actions = await approvalService.listActions(req.query);
+      res.status(200).json(actions);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  app.get('/admin/approvals/:id', async (req, res, next) => {
+    try {
+      const action = await approvalService.getAction(req.params.id);
+      
+      if (!action) {
+        return res.status(404).json({ error: 'Approval not found' });
+      }
+      
+      res.status(200).json(action);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  app.post('/admin/approvals/:id/approve', async (req, res, next) => {
+    try {
+      const action = await approvalService.approve(req.params.id, { decidedBy: 'admin' });
+      
+      if (!action) {
+        return res.status(409).json({ error: 'Approval not found, expired or already decided' });
+      }
+      
+      res.status(200).json(action);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  app.post('/admin/approvals/:id/reject', async (req, res, next) => {
+    try {
+      const action = await approvalService.reject(req.params.id, {
+        decidedBy: 'admin',
+        reason: req.body && req.body.reason
+      });
+      
+      if (!action) {
+        return res.status(409).json({ error: 'Approval not found or already decided' });
+      }
+      
+      res.status(200).json(action);
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+/**
+ * Échappe une valeur insérée dans une page HTML
+ * @param {*} value - Valeur à échapper
+ * @returns {string} - Texte échappé
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;'
+  })[char]);
+}
+
+/**
+ * Page de confirmation d'une décision d'approbation
+ * Le lien reçu par notification ne fait qu'afficher cette page : seul l'envoi du formulaire décide,
+ * de sorte que les clients de messagerie qui pré-chargent les liens ne déclenchent aucune action.
+ * @param {Object} action - Action en attente
+ * @param {string} decision - approve ou reject
+ * @param {string} token - Jeton de l'action
+ * @returns {string} - HTML de la page
+ */
+function renderDecisionPage(action, decision, token) {
+  const label = decision === 'approve' ? 'Approve' : 'Reject';
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${label} pending action</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto;">
+  <h2>${label} pending action</h2>
+  <p>${escapeHtml(action.summary)}</p>
+  <p>Type: ${escapeHtml(action.type)} — expires ${escapeHtml(new Date(action.expires_at).toISOString())}</p>
+  <form method="post" action="/approvals/${escapeHtml(action._id)}/${decision}">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <button type="submit">${label}</button>
+  </form>
+</body>
+</html>`;
+}
+
+/**
+ * Configuration des liens d'approbation envoyés dans les notifications
+ * Ces routes sont authentifiées par le jeton propre à chaque action. Le lien (GET) affiche
+ * une page de confirmation, la décision n'est appliquée qu'à l'envoi du formulaire (POST).
+ */
+function setupApprovalLinks(app) {
+  const decisions = {
+    approve: id => approvalService.approve(id, { decidedBy: 'link' }),
+    reject: id => approvalService.reject(id, { decidedBy: 'link' })
+  };
+  
+  app.get('/approvals/:id/:decision(approve|reject)', async (req, res, next) => {
+    try {
+      if (!await approvalService.verifyToken(req.params.id, req.query.token)) {
+        return res.status(401).json({ error: 'Invalid approval token' });
+      }
+      
+      const action = await approvalService.getAction(req.params.id);
+      
+      if (!action || action.status !== 'pending') {
+        return res.status(409).json({ error: 'Action expired or already decided' });
+      }
+      
+      res.status(200).type('html').send(renderDecisionPage(action, req.params.decision, req.query.token));
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  app.post('/approvals/:id/:decision(approve|reject)', express.urlencoded({ extended: false }), async (req, res, next) => {
+    try {
+      const token = (req.body && req.body.token) || req.query.token;
+      
+      if (!await approvalService.verifyToken(req.params.id, token)) {
+        return res.status(401).json({ error: 'Invalid approval token' });
+      }
+      
+      const action = await decisions[req.params.decision](req.params.id);
+      
+      if (!action) {
+        return res.status(409).json({ error: 'Action expired or already decided' });
+      }
+      
+      res.status(200).json({ id: action._id, type: action.type, summary: action.summary, status: action.status });
+    } catch (error) {
+      next(error);
+    }
+  });
 }
 
 /**
@@ -195,7 +727,7 @@ function setupExpressServer() {
   const PORT = process.env.PORT || 3000;
   
   // Middlewares
-  app.use(express.json());
+  app.use(express.json({ verify: captureRawBody }));
   setupLogging(app);
   
   // Routes de base
@@ -207,7 +739,7 @@ function setupExpressServer() {
     });
   });
   
-  app.get('/stats', async (req, res) => {
+  app.get('/stats', async (req, res, next) => {
     try {
       if (!isSystemInitialized) {
         return res.status(503).json({ error: 'System not initialized yet' });
@@ -216,14 +748,19 @@ function setupExpressServer() {
       const stats = await analyticsService.getSystemStats();
       res.status(200).json(stats);
     } catch (error) {
-      console.error('Erreur lors de la récupération des statistiques:', error);
-      res.status(500).json({ error: 'Could not retrieve stats' });
+      next(error);
     }
   });
   
   // Configuration des webhooks
   setupWebhooks(app);
   
+  // Configuration des routes d'administration
+  setupAdminRoutes(app);
+  
+  // Liens d'approbation
+  setupApprovalLinks(app);
+  
   // Démarrage du serveur
   app.listen(PORT, () => {
     console.log(`Serveur démarré sur le port ${PORT}`);
@@ -256,6 +793,35 @@ async function startSystem() {
     // Configuration des tâches planifiées
     setupScheduledTasks();
     
+    // Démarrage du traitement des webhooks en arrière-plan
+    webhookQueue.start();
+    
+    // Abonnement de notre URL de callback aux événements gérés
+    try {
+      await registerWebhooks(api, { events: webhookDispatcher.getEventTypes() });
+    } catch (error) {
+      console.error('Erreur lors de l\'enregistrement des webhooks:', error);
+      await sendNotification({
+        type: 'warning',
+        subject: 'Enregistrement des webhooks impossible',
+        message: `Les abonnements webhook n'ont pas pu être réconciliés: ${error.message}`
+      });
+    }
+    
+    // Reprise des tests A/B interrompus par un redémarrage
+    try {
+      await optimizationEngine.recoverABTests();
+    } catch (error) {
+      console.error('Erreur lors de la reprise des tests A/B:', error);
+    }
+    
+    // Rattrapage des activations et expirations de promotions manquées pendant l'arrêt
+    try {
+      await promotionLifecycle.start();
+    } catch (error) {
+      console.error('Erreur lors de la reprise du cycle de vie des promotions:', error);
+    }
+    
     // Publication initiale des prompts si nécessaire
     const promptsExist = await promptManager.checkExistingPrompts();
     if (!promptsExist) {
@@ -0,0 +1,1087 @@
+/**
+ * Serveur SnackPrompt simulé
+ * -------------------------------------------------
+ * Implémentation en mémoire des endpoints documentés de l'API SnackPrompt
+ * (prompts, bundles, analytics, promotions, service client, utilisateurs et
+ * webhooks) pour exécuter les flux d'optimisation, de promotion et de service
+ * client hors ligne, sans identifiants réels.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const { computeSignature } = require('../webhooks/signature');
+
+// Collections de l'état simulé
+const COLLECTIONS = ['prompts', 'bundles', 'promotions', 'questions', 'refunds', 'purchases', 'webhooks', 'reports', 'hourly'];
+
+// Préfixes des identifiants générés
+const ID_PREFIXES = {
+  prompts: 'prompt',
+  bundles: 'bundle',
+  promotions: 'promo',
+  questions: 'question',
+  refunds: 'refund',
+  purchases: 'purchase',
+  webhooks: 'webhook',
+  reports: 'report'
+};
+
+// Événements pouvant être simulés
+const EVENT_TYPES = ['sale.completed', 'question.received', 'refund.requested', 'prompt.viewed'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Erreur renvoyée au format d'erreur documenté de l'API
+ */
+class MockApiError extends Error {
+  /**
+   * @param {number} status - Code HTTP
+   * @param {string} code - Code d'erreur (ex: NOT_FOUND)
+   * @param {string} message - Description de l'erreur
+   * @param {Object} [details] - Détails de l'erreur
+   */
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Calcule le taux de conversion
+ * @param {number} sales - Nombre de ventes
+ * @param {number} views - Nombre de vues
+ * @returns {number} - Taux de conversion
+ */
+const conversionRate = (sales, views) => (views > 0 ? Number((sales / views).toFixed(4)) : 0);
+
+class MockSnackPromptServer {
+  /**
+   * Initialise le serveur simulé
+   * @param {Object} [options] - Options du serveur
+   * @param {Object} [options.seed] - État initial (voir seed())
+   * @param {string} [options.apiKey] - Clé API attendue ; toute clé non vide est acceptée si absente
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey;
+    this.server = null;
+    this.baseURL = null;
+    this.failures = [];
+
+    this.reset();
+    if (options.seed) {
+      this.seed(options.seed);
+    }
+
+    this.app = this.createApp();
+  }
+
+  /**
+   * Vide l'état simulé
+   */
+  reset() {
+    this.state = {};
+    for (const collection of COLLECTIONS) {
+      this.state[collection] = [];
+    }
+    this.counters = {};
+    this.failures = [];
+  }
+
+  /**
+   * Remplace les collections fournies par les données indiquées
+   * Les champs absents reçoivent les valeurs par défaut de l'API.
+   * @param {Object} data - Collections à charger (prompts, bundles, promotions, questions, refunds, purchases, webhooks, reports, hourly)
+   * @returns {MockSnackPromptServer} - Le serveur, pour chaîner les appels
+   */
+  seed(data = {}) {
+    for (const collection of COLLECTIONS) {
+      if (Array.isArray(data[collection])) {
+        this.state[collection] = data[collection].map(item => this.normalize(collection, item));
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Retourne une copie de l'état simulé
+   * @returns {Object} - État courant
+   */
+  getState() {
+    return JSON.parse(JSON.stringify(this.state));
+  }
+
+  /**
+   * Fait échouer les prochaines requêtes, pour exercer les nouvelles tentatives et le disjoncteur
+   * @param {number} status - Code HTTP à renvoyer (ex: 429, 503)
+   * @param {number} [count] - Nombre de requêtes à faire échouer
+   * @param {Object} [options] - Options
+   * @param {number} [options.retryAfter] - Valeur de l'en-tête Retry-After, en secondes
+   */
+  injectFailures(status, count = 1, options = {}) {
+    for (let i = 0; i < count; i++) {
+      this.failures.push({ status, retryAfter: options.retryAfter });
+    }
+  }
+
+  /**
+   * Génère un identifiant pour une collection
+   * @param {string} collection - Nom de la collection
+   * @returns {string} - Identifiant unique
+   */
+  nextId(collection) {
+    this.counters[collection] = (this.counters[collection] || 0) + 1;
+    return `${ID_PREFIXES[collection] || collection}-mock-${this.counters[collection]}`;
+  }
+
+  /**
+   * Complète un élément avec les valeurs par défaut de sa collection
+   * @param {string} collection - Nom de la collection
+   * @param {Object} item - Élément fourni
+   * @returns {Object} - Élément normalisé
+   */
+  normalize(collection, item) {
+    const now = new Date().toISOString();
+
+    if (collection === 'hourly') {
+      return { views: 0, sales: 0, revenue: 0, ...item, conversion_rate: conversionRate(item.sales || 0, item.views || 0) };
+    }
+
+    const { id, ...fields } = item;
+    const base = {
+      id: id || this.nextId(collection),
+      created_at: now,
+      updated_at: now
+    };
+
+    switch (collection) {
+      case 'prompts':
+        return {
+          ...base,
+          title: '',
+          description: '',
+          content: '',
+          price: 0,
+          category: 'other',
+          tags: [],
+          image_url: null,
+          views: 0,
+          sales: 0,
+          revenue: 0,
+          rating: 0,
+          reviews_count: 0,
+          on_promotion: false,
+          promotion_percentage: 0,
+          promotion_end_date: null,
+          currently_testing: false,
+          price_changed_recently: false,
+          variations: [],
+          price_history: [{ date: (item.created_at || now).slice(0, 10), price: item.price || 0 }],
+          trends: [],
+          ...fields
+        };
+      case 'bundles':
+        return { ...base, name: '', description: '', price: 0, prompt_ids: [], image_url: null, sales: 0, ...fields };
+      case 'promotions':
+        return { ...base, name: '', description: '', discount_percentage: 0, prompt_ids: [], status: null, ...fields };
+      case 'questions':
+        return { ...base, user_id: null, prompt_id: null, question: '', status: 'pending', response: null, ...fields };
+      case 'refunds':
+        return { ...base, user_id: null, prompt_id: null, purchase_id: null, reason: '', status: 'pending', ...fields };
+      case 'purchases':
+        return { ...base, user_id: null, prompt_id: null, amount: 0, currency: 'USD', purchase_date: now, ...fields };
+      case 'webhooks':
+        return { ...base, url: null, events: [], secret: null, description: '', status: 'active', ...fields };
+      default:
+        return { ...base, ...fields };
+    }
+  }
+
+  /**
+   * Recherche un élément par identifiant
+   * @param {string} collection - Nom de la collection
+   * @param {string} id - Identifiant recherché
+   * @returns {Object} - Élément trouvé
+   * @throws {MockApiError} - 404 si l'élément n'existe pas
+   */
+  find(collection, id) {
+    const item = this.state[collection].find(entry => entry.id === id);
+
+    if (!item) {
+      throw new MockApiError(404, 'NOT_FOUND', `Resource ${id} not found`);
+    }
+
+    return item;
+  }
+
+  /**
+   * Applique une mise à jour partielle en ignorant les champs non modifiables
+   * @param {Object} item - Élément à modifier
+   * @param {Object} updates - Champs à modifier
+   * @returns {Object} - Élément modifié
+   */
+  applyUpdate(item, updates = {}) {
+    const { id, created_at: createdAt, ...changes } = updates;
+    Object.assign(item, changes, { updated_at: new Date().toISOString() });
+    return item;
+  }
+
+  /**
+   * Vérifie la présence des champs obligatoires
+   * @param {Object} body - Corps de la requête
+   * @param {Object} rules - Règles par champ (required, type)
+   * @throws {MockApiError} - 400 avec le détail des champs invalides
+   */
+  validate(body = {}, rules) {
+    const fields = {};
+
+    for (const [field, rule] of Object.entries(rules)) {
+      const value = body[field];
+
+      if (value === undefined || value === null || value === '') {
+        if (rule.required) {
+          fields[field] = 'is required';
+        }
+      } else if (rule.type === 'array' ? !Array.isArray(value) : typeof value !== rule.type) {
+        fields[field] = `must be of type ${rule.type}`;
+      } else if (rule.min !== undefined && value < rule.min) {
+        fields[field] = `must be at least ${rule.min}`;
+      } else if (rule.max !== undefined && value > rule.max) {
+        fields[field] = `must be at most ${rule.max}`;
+      }
+    }
+
+    if (Object.keys(fields).length > 0) {
+      throw new MockApiError(400, 'INVALID_REQUEST', 'The request contains invalid data', { fields });
+    }
+  }
+
+  /**
+   * Découpe une liste en page selon les paramètres documentés
+   * @param {Array} items - Liste complète
+   * @param {Object} query - Paramètres de requête (page, limit, page_token)
+   * @returns {Object} - { data, meta }
+   */
+  paginate(items, query = {}) {
+    let page = parseInt(query.page, 10) || 1;
+    let limit = Math.min(parseInt(query.limit, 10) || 10, 100);
+
+    if (query.page_token) {
+      try {
+        ({ page, limit } = JSON.parse(Buffer.from(query.page_token, 'base64').toString()));
+      } catch (error) {
+        throw new MockApiError(400, 'INVALID_REQUEST', 'Invalid page_token', { fields: { page_token: 'is invalid' } });
+      }
+    }
+
+    const start = (page - 1) * limit;
+    const hasMore = start + limit < items.length;
+
+    return {
+      data: items.slice(start, start + limit),
+      meta: {
+        page,
+        limit,
+        total: items.length,
+        next_page_token: hasMore
+          ? Buffer.from(JSON.stringify({ page: page + 1, limit })).toString('base64')
+          : null
+      }
+    };
+  }
+
+  /**
+   * Calcule le statut d'une promotion à partir de ses dates
+   * @param {Object} promotion - Promotion
+   * @returns {string} - scheduled, active, expired ou cancelled
+   */
+  getPromotionStatus(promotion) {
+    if (promotion.status === 'cancelled') {
+      return 'cancelled';
+    }
+
+    const now = Date.now();
+    if (promotion.start_time && new Date(promotion.start_time).getTime() > now) {
+      return 'scheduled';
+    }
+    if (promotion.end_time && new Date(promotion.end_time).getTime() <= now) {
+      return 'expired';
+    }
+    return 'active';
+  }
+
+  /**
+   * Formate une promotion telle que renvoyée par l'API
+   * @param {Object} promotion - Promotion
+   * @param {boolean} [detailed] - Inclure les prompts et les performances
+   * @returns {Object} - Promotion formatée
+   */
+  formatPromotion(promotion, detailed = false) {
+    const formatted = {
+      ...promotion,
+      status: this.getPromotionStatus(promotion),
+      prompts_count: promotion.prompt_ids.length
+    };
+
+    if (detailed) {
+      formatted.prompts = this.state.prompts
+        .filter(prompt => promotion.prompt_ids.includes(prompt.id))
+        .map(prompt => ({
+          id: prompt.id,
+          title: prompt.title,
+          original_price: prompt.price,
+          discounted_price: Number((prompt.price * (1 - promotion.discount_percentage / 100)).toFixed(2))
+        }));
+      formatted.performance = promotion.performance || {
+        views_before: 0,
+        views_during: 0,
+        sales_before: 0,
+        sales_during: 0,
+        revenue_before: 0,
+        revenue_during: 0,
+        conversion_rate_before: 0,
+        conversion_rate_during: 0
+      };
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Formate un bundle tel que renvoyé par l'API
+   * @param {Object} bundle - Bundle
+   * @param {boolean} [detailed] - Inclure les prompts
+   * @returns {Object} - Bundle formaté
+   */
+  formatBundle(bundle, detailed = false) {
+    const prompts = this.state.prompts.filter(prompt => bundle.prompt_ids.includes(prompt.id));
+    const originalPrice = prompts.reduce((sum, prompt) => sum + prompt.price, 0);
+
+    const formatted = {
+      ...bundle,
+      original_price: originalPrice,
+      savings_percentage: originalPrice > 0 ? Math.round((1 - bundle.price / originalPrice) * 100) : 0,
+      prompt_count: bundle.prompt_ids.length
+    };
+
+    if (detailed) {
+      formatted.prompts = prompts.map(({ id, title, description, price, category, image_url: imageUrl }) => ({
+        id, title, description, price, category, image_url: imageUrl
+      }));
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Construit la ligne de statistiques d'un prompt
+   * @param {Object} prompt - Prompt
+   * @returns {Object} - Statistiques au format de /analytics/prompts
+   */
+  getPromptStatsRow(prompt) {
+    const field = (name, fallback) => (prompt[name] !== undefined ? prompt[name] : fallback);
+    const revenue = field('revenue', prompt.sales * prompt.price);
+
+    return {
+      id: prompt.id,
+      title: prompt.title,
+      price: prompt.price,
+      category: prompt.category,
+      views: prompt.views,
+      views_last_hour: field('views_last_hour', 0),
+      views_last_24_hours: field('views_last_24_hours', 0),
+      views_last_7_days: field('views_last_7_days', prompt.views),
+      views_last_30_days: field('views_last_30_days', prompt.views),
+      sales: prompt.sales,
+      sales_last_24_hours: field('sales_last_24_hours', 0),
+      sales_last_7_days: field('sales_last_7_days', prompt.sales),
+      sales_last_30_days: field('sales_last_30_days', prompt.sales),
+      revenue,
+      revenue_last_24_hours: field('revenue_last_24_hours', 0),
+      revenue_last_7_days: field('revenue_last_7_days', revenue),
+      revenue_last_30_days: field('revenue_last_30_days', revenue),
+      conversion_rate: conversionRate(prompt.sales, prompt.views),
+      average_rating: prompt.rating,
+      on_promotion: prompt.on_promotion,
+      promotion_percentage: prompt.promotion_percentage
+    };
+  }
+
+  /**
+   * Enregistre une modification de prix dans l'historique du prompt
+   * @param {Object} prompt - Prompt modifié
+   * @param {number} price - Nouveau prix
+   */
+  trackPriceChange(prompt, price) {
+    if (typeof price === 'number' && price !== prompt.price) {
+      prompt.price_history.push({ date: new Date().toISOString().slice(0, 10), price });
+    }
+  }
+
+  /**
+   * Applique un événement à l'état simulé (vente, question, remboursement ou vue)
+   * @param {string} type - Type d'événement
+   * @param {Object} data - Données de l'événement
+   * @returns {Object} - Données complétées (identifiants générés, prompt)
+   */
+  applyEvent(type, data = {}) {
+    const prompt = data.prompt_id ? this.find('prompts', data.prompt_id) : null;
+    if (!prompt && EVENT_TYPES.includes(type)) {
+      throw new MockApiError(400, 'INVALID_REQUEST', `${type} requires a prompt_id`, { fields: { prompt_id: 'is required' } });
+    }
+
+    const summary = prompt ? { id: prompt.id, title: prompt.title } : undefined;
+    const now = new Date().toISOString();
+
+    switch (type) {
+      case 'sale.completed': {
+        const amount = data.amount !== undefined ? data.amount : prompt.price;
+        const purchase = this.normalize('purchases', {
+          user_id: data.user_id,
+          prompt_id: prompt.id,
+          amount,
+          purchase_date: now
+        });
+        this.state.purchases.push(purchase);
+        prompt.sales++;
+        prompt.revenue = (prompt.revenue || 0) + amount;
+
+        return { sale_id: `sale-${purchase.id}`, purchase_id: purchase.id, currency: 'USD', ...data, amount, prompt: summary };
+      }
+      case 'question.received': {
+        const question = this.normalize('questions', {
+          id: data.question_id,
+          user_id: data.user_id,
+          prompt_id: data.prompt_id,
+          question: data.question
+        });
+        this.state.questions.push(question);
+
+        return { ...data, question_id: question.id, prompt: summary };
+      }
+      case 'refund.requested': {
+        const purchase = this.state.purchases.find(entry =>
+          (data.purchase_id && entry.id === data.purchase_id) ||
+          (entry.user_id === data.user_id && entry.prompt_id === data.prompt_id)
+        );
+        const purchaseDate = data.purchase_date || (purchase && purchase.purchase_date) || now;
+        const refund = this.normalize('refunds', {
+          id: data.refund_id,
+          user_id: data.user_id,
+          prompt_id: data.prompt_id,
+          purchase_id: data.purchase_id || (purchase && purchase.id) || null,
+          reason: data.reason,
+          purchase_date: purchaseDate,
+          purchase_amount: data.purchase_amount !== undefined ? data.purchase_amount : (purchase && purchase.amount),
+          days_since_purchase: Math.floor((Date.now() - new Date(purchaseDate).getTime()) / DAY)
+        });
+        this.state.refunds.push(refund);
+
+        const { id, status, created_at: createdAt, updated_at: updatedAt, ...refundData } = refund;
+        return { ...refundData, refund_id: id, prompt: summary };
+      }
+      case 'prompt.viewed':
+        prompt.views++;
+        prompt.views_last_hour = (prompt.views_last_hour || 0) + 1;
+
+        return { view_id: `view-${crypto.randomUUID()}`, ...data, prompt: summary };
+      default:
+        return data;
+    }
+  }
+
+  /**
+   * Simule un événement de la plateforme et le livre aux webhooks abonnés
+   * L'événement est signé avec le secret de chaque abonnement, comme le fait SnackPrompt.
+   * @param {string} type - Type d'événement (sale.completed, question.received, refund.requested, prompt.viewed)
+   * @param {Object} data - Données de l'événement
+   * @returns {Promise<Object>} - { event, deliveries }
+   */
+  async emitEvent(type, data = {}) {
+    const event = {
+      id: `evt-${crypto.randomUUID()}`,
+      event: type,
+      timestamp: new Date().toISOString(),
+      data: this.applyEvent(type, data)
+    };
+    const payload = JSON.stringify(event);
+
+    const subscriptions = this.state.webhooks.filter(webhook =>
+      webhook.status === 'active' && webhook.url && webhook.events.includes(type)
+    );
+
+    const deliveries = await Promise.all(subscriptions.map(async webhook => {
+      const headers = { 'Content-Type': 'application/json', 'X-SnackPrompt-Event-Id': event.id };
+      if (webhook.secret) {
+        headers['X-SnackPrompt-Signature'] = `sha256=${computeSignature(webhook.secret, payload)}`;
+      }
+
+      try {
+        const response = await axios.post(webhook.url, payload, { headers, timeout: 10000 });
+        return { webhook_id: webhook.id, status: response.status };
+      } catch (error) {
+        console.warn(`[mock] Livraison de ${type} au webhook ${webhook.id} en échec:`, error.message);
+        return { webhook_id: webhook.id, status: error.response ? error.response.status : null, error: error.message };
+      }
+    }));
+
+    return { event, deliveries };
+  }
+
+  /**
+   * Crée l'application Express servant l'API simulée
+   * Les endpoints de l'API sont servis sous /v1, le contrôle de l'état sous /_mock.
+   * @returns {Object} - Application Express
+   */
+  createApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.use('/_mock', this.createControlRouter());
+    app.use('/v1', this.createApiRouter());
+
+    app.use((req, res) => {
+      res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: `Unknown endpoint ${req.method} ${req.path}`, details: {} } });
+    });
+
+    // Conversion des erreurs au format documenté
+    app.use((error, req, res, next) => {
+      const status = error.status || (error.type === 'entity.parse.failed' ? 400 : 500);
+      const code = error.code || (status === 400 ? 'INVALID_REQUEST' : 'SERVER_ERROR');
+
+      res.set('X-Request-Id', req.requestId);
+      res.status(status).json({
+        success: false,
+        error: { code, message: error.message, details: error.details || {} },
+        request_id: req.requestId
+      });
+    });
+
+    return app;
+  }
+
+  /**
+   * Routes de contrôle de l'état simulé
+   * @returns {Object} - Routeur Express
+   */
+  createControlRouter() {
+    const router = express.Router();
+
+    router.get('/state', (req, res) => res.json(this.getState()));
+
+    router.post('/seed', (req, res) => {
+      this.seed(req.body);
+      res.json(this.getState());
+    });
+
+    router.post('/reset', (req, res) => {
+      this.reset();
+      res.json(this.getState());
+    });
+
+    router.post('/failures', (req, res) => {
+      const { status = 503, count = 1, retry_after: retryAfter } = req.body;
+      this.injectFailures(status, count, { retryAfter });
+      res.json({ pending_failures: this.failures.length });
+    });
+
+    router.post('/events', async (req, res, next) => {
+      try {
+        res.json(await this.emitEvent(req.body.event, req.body.data));
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    return router;
+  }
+
+  /**
+   * Routes de l'API simulée
+   * @returns {Object} - Routeur Express
+   */
+  createApiRouter() {
+    const router = express.Router();
+
+    // Enveloppe les gestionnaires : réponse { success, data, meta } et erreurs transmises au middleware
+    const handle = (handler) => (req, res, next) => {
+      try {
+        const result = handler(req) || {};
+        const body = { success: true, data: result.data };
+        if (result.meta) {
+          body.meta = result.meta;
+        }
+        res.set('X-Request-Id', req.requestId);
+        res.status(result.status || 200).json(body);
+      } catch (error) {
+        next(error);
+      }
+    };
+    const one = (data, status) => ({ data, status });
+
+    // Identifiant de requête, authentification et pannes injectées
+    router.use((req, res, next) => {
+      req.requestId = `req-${crypto.randomUUID()}`;
+
+      const failure = this.failures.shift();
+      if (failure) {
+        if (failure.retryAfter) {
+          res.set('Retry-After', String(failure.retryAfter));
+        }
+        const code = failure.status === 429 ? 'RATE_LIMIT_EXCEEDED' : 'SERVER_ERROR';
+        return next(new MockApiError(failure.status, code, `Simulated failure (${failure.status})`));
+      }
+
+      const token = (req.headers.authorization || '').replace(/^Bearer\s*/i, '').trim();
+      if (!token || token === 'undefined' || (this.apiKey && token !== this.apiKey)) {
+        return next(new MockApiError(401, 'UNAUTHORIZED', 'Missing or invalid API key'));
+      }
+
+      next();
+    });
+
+    // Prompts
+    router.get('/prompts', handle(req => {
+      const { category, search, min_price: minPrice, max_price: maxPrice, exclude_ids: excludeIds, tags } = req.query;
+      const excluded = excludeIds ? excludeIds.split(',') : [];
+      const wantedTags = tags ? tags.split(',') : [];
+
+      const prompts = this.state.prompts.filter(prompt =>
+        (!category || prompt.category === category) &&
+        (!search || `${prompt.title} ${prompt.description}`.toLowerCase().includes(search.toLowerCase())) &&
+        (minPrice === undefined || prompt.price >= Number(minPrice)) &&
+        (maxPrice === undefined || prompt.price <= Number(maxPrice)) &&
+        !excluded.includes(prompt.id) &&
+        wantedTags.every(tag => prompt.tags.includes(tag))
+      );
+
+      return this.paginate(prompts, req.query);
+    }));
+
+    router.get('/prompts/:id', handle(req => one(this.find('prompts', req.params.id))));
+
+    router.post('/prompts', handle(req => {
+      this.validate(req.body, {
+        title: { required: true, type: 'string' },
+        content: { required: true, type: 'string' },
+        price: { required: true, type: 'number', min: 0 },
+        tags: { type: 'array' }
+      });
+
+      const variations = (req.body.variations || []).map((variation, index) => ({
+        id: `variation-${index + 1}`,
+        ...variation,
+        created_at: new Date().toISOString(),
+        active: false
+      }));
+      const { id, ...promptData } = req.body;
+      const prompt = this.normalize('prompts', { ...promptData, variations });
+      this.state.prompts.push(prompt);
+
+      return one(prompt, 201);
+    }));
+
+    router.patch('/prompts/:id', handle(req => {
+      const prompt = this.find('prompts', req.params.id);
+      this.validate(req.body, { price: { type: 'number', min: 0 }, promotion_percentage: { type: 'number', min: 0, max: 100 } });
+
+      this.trackPriceChange(prompt, req.body.price);
+      return one(this.applyUpdate(prompt, req.body));
+    }));
+
+    router.delete('/prompts/:id', handle(req => {
+      this.find('prompts', req.params.id);
+      this.state.prompts = this.state.prompts.filter(prompt => prompt.id !== req.params.id);
+      return one({ id: req.params.id, deleted: true });
+    }));
+
+    // Bundles
+    router.get('/bundles', handle(req => {
+      const result = this.paginate(this.state.bundles, req.query);
+      return { ...result, data: result.data.map(bundle => this.formatBundle(bundle)) };
+    }));
+
+    router.get('/bundles/:id', handle(req => one(this.formatBundle(this.find('bundles', req.params.id), true))));
+
+    router.post('/bundles', handle(req => {
+      this.validate(req.body, {
+        name: { required: true, type: 'string' },
+        prompt_ids: { required: true, type: 'array' },
+        price: { required: true, type: 'number', min: 0 }
+      });
+      req.body.prompt_ids.forEach(promptId => this.find('prompts', promptId));
+
+      const { id, ...bundleData } = req.body;
+      const bundle = this.normalize('bundles', bundleData);
+      this.state.bundles.push(bundle);
+
+      return one(this.formatBundle(bundle, true), 201);
+    }));
+
+    router.patch('/bundles/:id', handle(req => {
+      const bundle = this.find('bundles', req.params.id);
+      this.validate(req.body, { price: { type: 'number', min: 0 }, prompt_ids: { type: 'array' } });
+
+      return one(this.formatBundle(this.applyUpdate(bundle, req.body), true));
+    }));
+
+    router.delete('/bundles/:id', handle(req => {
+      this.find('bundles', req.params.id);
+      this.state.bundles = this.state.bundles.filter(bundle => bundle.id !== req.params.id);
+      return one({ id: req.params.id, deleted: true });
+    }));
+
+    // Analytics
+    router.get('/analytics/prompts', handle(req => {
+      const ids = req.query.prompt_ids ? req.query.prompt_ids.split(',') : null;
+      const rows = this.state.prompts
+        .filter(prompt => !ids || ids.includes(prompt.id))
+        .map(prompt => this.getPromptStatsRow(prompt));
+
+      const totalViews = rows.reduce((sum, row) => sum + row.views, 0);
+      const totalSales = rows.reduce((sum, row) => sum + row.sales, 0);
+
+      return {
+        data: rows,
+        meta: {
+          total_prompts: rows.length,
+          total_views: totalViews,
+          total_sales: totalSales,
+          total_revenue: rows.reduce((sum, row) => sum + row.revenue, 0),
+          average_conversion_rate: conversionRate(totalSales, totalViews)
+        }
+      };
+    }));
+
+    router.get('/analytics/prompts/top', handle(req => {
+      const limit = parseInt(req.query.limit, 10) || 10;
+      const rows = this.state.prompts
+        .map(prompt => this.getPromptStatsRow(prompt))
+        .sort((a, b) => b.revenue - a.revenue)
+        .slice(0, limit);
+
+      return one(rows);
+    }));
+
+    router.get('/analytics/prompts/:id/performance', handle(req => {
+      const prompt = this.find('prompts', req.params.id);
+      const stats = this.getPromptStatsRow(prompt);
+
+      return one({
+        ...stats,
+        summary: {
+          views: stats.views,
+          sales: stats.sales,
+          revenue: stats.revenue,
+          conversion_rate: stats.conversion_rate,
+          average_rating: stats.average_rating
+        },
+        trends: prompt.trends,
+        price_history: prompt.price_history,
+        demographics: prompt.demographics || { countries: [], devices: [] }
+      });
+    }));
+
+    router.get('/analytics/detailed', handle(() => one(this.state.prompts.map(prompt => ({
+      ...this.getPromptStatsRow(prompt),
+      total_views: prompt.views,
+      total_sales: prompt.sales,
+      currently_testing: prompt.currently_testing,
+      price_changed_recently: prompt.price_changed_recently,
+      creation_date: prompt.created_at
+    })))));
+
+    router.get('/analytics/hourly', handle(req => {
+      const days = Math.min(parseInt(req.query.days, 10) || 7, 30);
+      const since = Date.now() - days * DAY;
+      const points = this.state.hourly
+        .filter(point => new Date(point.timestamp).getTime() >= since)
+        .filter(point => !req.query.prompt_id || point.prompt_id === req.query.prompt_id)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      const byViews = [...points].sort((a, b) => b.views - a.views);
+
+      return {
+        data: points,
+        meta: {
+          total_hours: points.length,
+          average_hourly_views: points.length
+            ? Number((points.reduce((sum, point) => sum + point.views, 0) / points.length).toFixed(2))
+            : 0,
+          peak_hour: byViews[0] ? { timestamp: byViews[0].timestamp, views: byViews[0].views } : null,
+          lowest_hour: byViews.length ? { timestamp: byViews[byViews.length - 1].timestamp, views: byViews[byViews.length - 1].views } : null
+        }
+      };
+    }));
+
+    router.post('/analytics/reports', handle(req => {
+      this.validate(req.body, { type: { required: true, type: 'string' } });
+
+      const report = this.normalize('reports', { ...req.body, status: 'completed', completed_at: new Date().toISOString() });
+      report.report_id = report.id;
+      report.download_url = `${this.baseURL || ''}/downloads/reports/${report.id}.${req.body.format || 'pdf'}`;
+      report.expires_at = new Date(Date.now() + 7 * DAY).toISOString();
+      this.state.reports.push(report);
+
+      return one({ report_id: report.id, type: report.type, status: 'processing', estimated_completion_time: report.completed_at }, 201);
+    }));
+
+    router.get('/analytics/reports/:id', handle(req => one(this.find('reports', req.params.id))));
+
+    // Service client
+    router.get('/customer-support/questions', handle(req => {
+      const { status, prompt_id: promptId } = req.query;
+      const questions = this.state.questions.filter(question =>
+        (!status || status === 'all' || question.status === status) &&
+        (!promptId || question.prompt_id === promptId)
+      );
+
+      return this.paginate(questions, req.query);
+    }));
+
+    router.post('/customer-support/questions/:id/respond', handle(req => {
+      const question = this.find('questions', req.params.id);
+      this.validate(req.body, { response: { required: true, type: 'string' } });
+
+      this.applyUpdate(question, { status: 'answered', response: req.body.response, responded_at: new Date().toISOString() });
+      const { id, status, response, responded_at: respondedAt } = question;
+
+      return one({ id, status, response, responded_at: respondedAt });
+    }));
+
+    router.get('/customer-support/refunds', handle(req => {
+      const { status, prompt_id: promptId } = req.query;
+      const refunds = this.state.refunds.filter(refund =>
+        (!status || status === 'all' || refund.status === status) &&
+        (!promptId || refund.prompt_id === promptId)
+      );
+
+      return this.paginate(refunds, req.query);
+    }));
+
+    router.post('/customer-support/refunds/:id/approve', handle(req => {
+      const refund = this.findPendingRefund(req.params.id);
+      this.applyUpdate(refund, { status: 'approved', approved_at: new Date().toISOString() });
+
+      return one({
+        id: refund.id,
+        status: refund.status,
+        approved_at: refund.approved_at,
+        refund_amount: refund.purchase_amount,
+        estimated_processing_time: '1-3 business days'
+      });
+    }));
+
+    router.post('/customer-support/refunds/:id/deny', handle(req => {
+      const refund = this.findPendingRefund(req.params.id);
+      this.validate(req.body, { reason: { required: true, type: 'string' } });
+      this.applyUpdate(refund, { status: 'denied', denied_at: new Date().toISOString(), denial_reason: req.body.reason });
+
+      return one({ id: refund.id, status: refund.status, denied_at: refund.denied_at, denial_reason: refund.denial_reason });
+    }));
+
+    // Promotions
+    router.get('/promotions', handle(req => {
+      const { status } = req.query;
+      const promotions = this.state.promotions
+        .map(promotion => this.formatPromotion(promotion))
+        .filter(promotion => !status || status === 'all' || promotion.status === status);
+
+      return this.paginate(promotions, req.query);
+    }));
+
+    router.get('/promotions/:id', handle(req => one(this.formatPromotion(this.find('promotions', req.params.id), true))));
+
+    router.post('/promotions', handle(req => {
+      this.validate(req.body, {
+        name: { required: true, type: 'string' },
+        prompt_ids: { required: true, type: 'array' },
+        discount_percentage: { required: true, type: 'number', min: 1, max: 100 },
+        start_time: { required: true, type: 'string' },
+        end_time: { required: true, type: 'string' }
+      });
+      this.validatePromotionWindow(req.body.start_time, req.body.end_time);
+
+      const { id, status, ...promotionData } = req.body;
+      const promotion = this.normalize('promotions', promotionData);
+      this.state.promotions.push(promotion);
+
+      return one(this.formatPromotion(promotion), 201);
+    }));
+
+    router.patch('/promotions/:id', handle(req => {
+      const promotion = this.find('promotions', req.params.id);
+      this.validate(req.body, { discount_percentage: { type: 'number', min: 1, max: 100 }, prompt_ids: { type: 'array' } });
+      this.validatePromotionWindow(req.body.start_time || promotion.start_time, req.body.end_time || promotion.end_time);
+
+      const { status, ...changes } = req.body;
+      return one(this.formatPromotion(this.applyUpdate(promotion, changes)));
+    }));
+
+    router.post('/promotions/:id/cancel', handle(req => {
+      const promotion = this.find('promotions', req.params.id);
+      const status = this.getPromotionStatus(promotion);
+
+      if (status === 'cancelled' || status === 'expired') {
+        throw new MockApiError(409, 'CONFLICT', `Promotion ${promotion.id} is already ${status}`);
+      }
+
+      this.applyUpdate(promotion, { status: 'cancelled', cancelled_at: new Date().toISOString() });
+      return one({ id: promotion.id, status: 'cancelled', cancelled_at: promotion.cancelled_at });
+    }));
+
+    // Utilisateurs et achats
+    router.get('/users/:userId/purchases', handle(req => {
+      const purchases = this.state.purchases
+        .filter(purchase => purchase.user_id === req.params.userId)
+        .map(purchase => this.withPromptSummary(purchase));
+
+      return this.paginate(purchases, req.query);
+    }));
+
+    router.get('/purchases/user/:userId/prompt/:promptId', handle(req => {
+      const purchase = this.state.purchases.find(entry =>
+        entry.user_id === req.params.userId && entry.prompt_id === req.params.promptId
+      );
+
+      if (!purchase) {
+        throw new MockApiError(404, 'NOT_FOUND', `No purchase of ${req.params.promptId} by ${req.params.userId}`);
+      }
+
+      return one(this.withPromptSummary(purchase));
+    }));
+
+    const refundCount = handle(req => {
+      const refunds = this.state.refunds.filter(refund => refund.user_id === req.params.userId);
+      const since = Date.now() - 30 * DAY;
+      const countByStatus = status => refunds.filter(refund => refund.status === status).length;
+
+      return one({
+        user_id: req.params.userId,
+        refunds_count: refunds.length,
+        approved_refunds_count: countByStatus('approved'),
+        denied_refunds_count: countByStatus('denied'),
+        pending_refunds_count: countByStatus('pending'),
+        refunds_last_30_days: refunds.filter(refund => new Date(refund.created_at).getTime() >= since).length,
+        refunds_all_time: refunds.length
+      });
+    });
+    router.get('/users/:userId/refunds/count', refundCount);
+    router.get('/analytics/users/:userId/refunds/count', refundCount);
+
+    // Webhooks
+    router.get('/webhooks', handle(() => {
+      const webhooks = this.state.webhooks.map(({ secret, ...webhook }) => webhook);
+      return { data: webhooks, meta: { total: webhooks.length } };
+    }));
+
+    router.post('/webhooks', handle(req => {
+      this.validate(req.body, { url: { required: true, type: 'string' }, events: { required: true, type: 'array' } });
+
+      const { id, ...webhookData } = req.body;
+      const webhook = this.normalize('webhooks', webhookData);
+      this.state.webhooks.push(webhook);
+
+      const { secret, ...created } = webhook;
+      return one(created, 201);
+    }));
+
+    router.patch('/webhooks/:id', handle(req => {
+      const webhook = this.find('webhooks', req.params.id);
+      this.validate(req.body, { events: { type: 'array' } });
+
+      const { secret, ...updated } = this.applyUpdate(webhook, req.body);
+      return one(updated);
+    }));
+
+    router.delete('/webhooks/:id', handle(req => {
+      this.find('webhooks', req.params.id);
+      this.state.webhooks = this.state.webhooks.filter(webhook => webhook.id !== req.params.id);
+      return one({ id: req.params.id, deleted: true });
+    }));
+
+    return router;
+  }
+
+  /**
+   * Recherche une demande de remboursement encore en attente
+   * @param {string} refundId - ID de la demande
+   * @returns {Object} - Demande de remboursement
+   * @throws {MockApiError} - 404 si absente, 409 si déjà traitée
+   */
+  findPendingRefund(refundId) {
+    const refund = this.find('refunds', refundId);
+
+    if (refund.status !== 'pending') {
+      throw new MockApiError(409, 'CONFLICT', `Refund ${refundId} is already ${refund.status}`);
+    }
+
+    return refund;
+  }
+
+  /**
+   * Vérifie que la fin d'une promotion suit son début
+   * @param {string} startTime - Date de début
+   * @param {string} endTime - Date de fin
+   * @throws {MockApiError} - 400 si les dates sont invalides
+   */
+  validatePromotionWindow(startTime, endTime) {
+    const start = new Date(startTime).getTime();
+    const end = new Date(endTime).getTime();
+
+    if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+      throw new MockApiError(400, 'INVALID_REQUEST', 'end_time must be after start_time', {
+        fields: { end_time: 'must be after start_time' }
+      });
+    }
+  }
+
+  /**
+   * Ajoute le résumé du prompt à un achat
+   * @param {Object} purchase - Achat
+   * @returns {Object} - Achat avec le prompt
+   */
+  withPromptSummary(purchase) {
+    const prompt = this.state.prompts.find(entry => entry.id === purchase.prompt_id);
+    return { ...purchase, prompt: prompt ? { id: prompt.id, title: prompt.title } : null };
+  }
+
+  /**
+   * Démarre le serveur simulé
+   * @param {number} [port] - Port d'écoute (0 pour un port libre)
+   * @returns {Promise<string>} - URL de base de l'API simulée (ex: http://127.0.0.1:4010/v1)
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, '127.0.0.1', () => {
+        this.baseURL = `http://127.0.0.1:${this.server.address().port}/v1`;
+        console.log(`Serveur SnackPrompt simulé démarré sur ${this.baseURL}`);
+        resolve(this.baseURL);
+      });
+      this.server.once('error', reject);
+    });
+  }
+
+  /**
+   * Arrête le serveur simulé
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.server.close(error => {
+        this.server = null;
+        return error ? reject(error) : resolve();
+      });
+    });
+  }
+}
+
+module.exports = { MockSnackPromptServer, MockApiError };
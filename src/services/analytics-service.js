@@ -6,6 +6,8 @@
 
 const { generateChart } = require('../utils/chart-generator');
 const { formatCurrency, formatPercentage } = require('../utils/formatters');
+const { linearRegression } = require('../utils/statistics');
+const { PriceChange } = require('../database');
 
 class AnalyticsService {
   /**
@@ -28,6 +30,15 @@ class AnalyticsService {
         ttl: 30 * 60 * 1000 // 30 minutes
       }
     };
+    
+    // Paramètres d'estimation de l'élasticité-prix
+    this.elasticityParams = {
+      windowDays: parseInt(process.env.ELASTICITY_WINDOW_DAYS, 10) || 180, // Historique analysé
+      minObservations: parseInt(process.env.ELASTICITY_MIN_OBSERVATIONS, 10) || 14, // Jours exploitables requis
+      minDailyViews: 5, // Vues minimales pour qu'un jour soit exploitable
+      minDaysPerPrice: 3, // Jours minimaux pour qu'un prix compte comme observé
+      confidence: parseFloat(process.env.ELASTICITY_CONFIDENCE) || 0.95 // Niveau de l'intervalle de confiance
+    };
   }
 
   /**
@@ -118,39 +129,52 @@ class AnalyticsService {
 
   /**
    * Récupère les tendances à long terme d'un prompt
+   * L'élasticité-prix est estimée par régression log-log du taux de conversion
+   * quotidien sur le prix en vigueur, d'après notre historique de prix.
    * @param {string} promptId - ID du prompt
    * @returns {Promise<Object>} - Tendances à long terme
    */
   async getLongTermTrends(promptId) {
     try {
-      // Dans une implémentation réelle, on récupérerait l'historique complet et on calculerait les tendances
-      // Pour ce prototype, nous simulons les tendances
-      
-      const performance = await this.api.getPromptPerformance(promptId);
-      
-      // Calculer l'élasticité-prix simulée
-      // Une valeur positive signifie qu'augmenter le prix augmente les conversions
-      // Une valeur négative signifie qu'augmenter le prix diminue les conversions
-      const priceElasticity = Math.random() * 0.4 - 0.2; // Valeur entre -0.2 et 0.2
+      const endDate = new Date();
+      const startDate = new Date(endDate.getTime() - this.elasticityParams.windowDays * 24 * 60 * 60 * 1000);
+      
+      const [performance, priceChanges] = await Promise.all([
+        this.api.getPromptPerformance(promptId, {
+          start_date: startDate.toISOString(),
+          end_date: endDate.toISOString(),
+          granularity: 'day'
+        }),
+        PriceChange.find({ prompt_id: promptId, created_at: { $gte: startDate } }).sort({ created_at: 1 }).lean()
+      ]);
+      
+      const summary = performance.summary || performance;
+      const trends = performance.trends || [];
+      const totalViews = trends.reduce((sum, day) => sum + (day.views || 0), 0);
+      const totalSales = trends.reduce((sum, day) => sum + (day.sales || 0), 0);
+      
+      const observations = this.buildPriceObservations(trends, priceChanges, performance.price);
+      const elasticity = this.estimatePriceElasticity(observations);
       
       return {
         promptId,
-        price_elasticity: priceElasticity,
-        average_views_per_day: performance.views_last_30_days / 30,
-        average_conversion_rate: performance.conversion_rate,
-        price_history: [
-          { date: '2025-04-11', price: performance.price * 0.9 },
-          { date: '2025-04-25', price: performance.price * 0.95 },
-          { date: '2025-05-01', price: performance.price }
-        ]
+        price_elasticity: elasticity.estimate,
+        elasticity,
+        average_views_per_day: trends.length > 0 ? totalViews / trends.length : (summary.views_last_30_days || 0) / 30,
+        average_conversion_rate: totalViews > 0 ? totalSales / totalViews : summary.conversion_rate,
+        price_history: priceChanges.map(change => ({
+          date: change.created_at.toISOString(),
+          price: change.new_price,
+          reason: change.reason
+        }))
       };
     } catch (error) {
       console.error(`Erreur lors de la récupération des tendances à long terme du prompt ${promptId}:`, error.message);
       
-      // Retourner des données simulées en cas d'erreur
       return {
         promptId,
-        price_elasticity: 0, // Neutre
+        price_elasticity: null,
+        elasticity: this.insufficientData(`Données indisponibles: ${error.message}`),
         average_views_per_day: 0,
         average_conversion_rate: 0,
         price_history: []
@@ -158,6 +182,106 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Associe à chaque jour de données le prix en vigueur ce jour-là
+   * Les jours où le prix a changé sont écartés : leurs ventes relèvent de deux prix.
+   * @param {Array} trends - Données quotidiennes ({ date, views, sales })
+   * @param {Array} priceChanges - Changements de prix enregistrés, du plus ancien au plus récent
+   * @param {number} [currentPrice] - Prix actuel, utilisé en l'absence de changement enregistré
+   * @returns {Array<Object>} - Observations { date, price, views, sales }
+   */
+  buildPriceObservations(trends, priceChanges, currentPrice) {
+    const observations = [];
+    
+    for (const day of trends) {
+      const dayStart = new Date(day.date);
+      const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+      
+      if (isNaN(dayStart.getTime()) || !(day.views > 0)) {
+        continue;
+      }
+      
+      if (priceChanges.some(change => change.created_at >= dayStart && change.created_at < dayEnd)) {
+        continue;
+      }
+      
+      // Prix fixé par le dernier changement antérieur, sinon prix d'avant le premier changement
+      const previous = priceChanges.filter(change => change.created_at < dayStart).pop();
+      const next = priceChanges.find(change => change.created_at >= dayEnd);
+      const price = previous ? previous.new_price : (next ? next.old_price : currentPrice);
+      
+      if (price > 0) {
+        observations.push({ date: day.date, price, views: day.views, sales: day.sales || 0 });
+      }
+    }
+    
+    return observations;
+  }
+
+  /**
+   * Estime l'élasticité-prix du taux de conversion par régression log-log
+   * ln(conversion) = a + e * ln(prix) ; e < -1 signifie qu'une baisse de prix augmente le revenu par vue.
+   * @param {Array<Object>} observations - Observations quotidiennes { price, views, sales }
+   * @returns {Object} - { status, estimate, standard_error, confidence_interval, confidence_level, r_squared, observations, distinct_prices }
+   */
+  estimatePriceElasticity(observations) {
+    const { minObservations, minDailyViews, minDaysPerPrice, confidence } = this.elasticityParams;
+    
+    const usable = observations.filter(observation => observation.views >= minDailyViews);
+    const daysByPrice = usable.reduce((counts, observation) => {
+      counts[observation.price] = (counts[observation.price] || 0) + 1;
+      return counts;
+    }, {});
+    const distinctPrices = Object.values(daysByPrice).filter(days => days >= minDaysPerPrice).length;
+    
+    if (usable.length < minObservations) {
+      return this.insufficientData(`${usable.length} jours exploitables (minimum ${minObservations})`, usable.length, distinctPrices);
+    }
+    
+    if (distinctPrices < 2) {
+      return this.insufficientData(`Au moins 2 prix observés pendant ${minDaysPerPrice} jours sont nécessaires`, usable.length, distinctPrices);
+    }
+    
+    // Correction de continuité pour les jours sans vente (log(0) indéfini)
+    const regression = linearRegression(
+      usable.map(observation => Math.log(observation.price)),
+      usable.map(observation => Math.log((observation.sales + 0.5) / observation.views)),
+      confidence
+    );
+    
+    if (!regression) {
+      return this.insufficientData('Régression impossible sur ces données', usable.length, distinctPrices);
+    }
+    
+    return {
+      status: 'estimated',
+      estimate: regression.slope,
+      standard_error: regression.standardError,
+      confidence_interval: regression.confidenceInterval,
+      confidence_level: confidence,
+      r_squared: regression.rSquared,
+      observations: usable.length,
+      distinct_prices: distinctPrices
+    };
+  }
+
+  /**
+   * Résultat d'estimation en l'absence de données suffisantes
+   * @param {string} reason - Raison
+   * @param {number} [observations] - Nombre de jours exploitables
+   * @param {number} [distinctPrices] - Nombre de prix distincts observés
+   * @returns {Object} - Estimation vide
+   */
+  insufficientData(reason, observations = 0, distinctPrices = 0) {
+    return {
+      status: 'insufficient_data',
+      estimate: null,
+      reason,
+      observations,
+      distinct_prices: distinctPrices
+    };
+  }
+
   /**
    * Génère un rapport hebdomadaire
    * @returns {Promise<Object>} - Rapport hebdomadaire
@@ -0,0 +1,341 @@
+/**
+ * Service d'approbation
+ * -------------------------------------------------
+ * Soumet les actions automatisées à fort impact (forte variation de prix,
+ * réécriture de contenu, promotion d'événement sur tout le catalogue, refus de
+ * remboursement) à une validation humaine avant de les exécuter
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { PendingAction } = require('../database');
+const { sendNotification } = require('../utils/notifications');
+const { getJobContext, isDryRun, runJob } = require('../utils/job-context');
+
+class ApprovalService {
+  /**
+   * Initialise le service d'approbation
+   * @param {Object} [options] - Options du service
+   * @param {string} [options.baseUrl] - URL publique du serveur pour les liens d'approbation
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+    this.executors = new Map(); // Map des exécuteurs (type d'action -> fonction)
+
+    // Seuils au-delà desquels une action doit être approuvée
+    this.thresholds = {
+      priceChangePercent: parseFloat(process.env.APPROVAL_PRICE_CHANGE_PERCENT) || 15, // Variation de prix (%)
+      contentRewrites: process.env.APPROVAL_CONTENT_REWRITES !== 'false', // Réécritures de titre/description
+      promotionPromptCount: parseInt(process.env.APPROVAL_PROMOTION_MIN_PROMPTS, 10) || 10, // Prompts concernés par une promotion d'événement
+      refundDenials: process.env.APPROVAL_REFUND_DENIALS !== 'false' // Refus de remboursement
+    };
+
+    // Durée de validité d'une proposition
+    this.expiryHours = parseFloat(process.env.APPROVAL_EXPIRY_HOURS) || 48;
+  }
+
+  /**
+   * Enregistre l'exécuteur d'un type d'action
+   * L'exécuteur applique l'action par le chemin normal de l'API, directement ou après approbation.
+   * @param {string} type - Type d'action (price_change, content_rewrite, event_promotion, refund_denial)
+   * @param {Function} executor - Fonction (details) => Promise<*>
+   * @returns {ApprovalService} - Le service, pour chaîner les enregistrements
+   */
+  register(type, executor) {
+    if (this.executors.has(type)) {
+      throw new Error(`Un exécuteur est déjà enregistré pour ${type}`);
+    }
+
+    this.executors.set(type, executor);
+    return this;
+  }
+
+  /**
+   * Indique si une action dépasse les seuils d'approbation
+   * @param {string} type - Type d'action
+   * @param {Object} details - Détails de l'action
+   * @returns {boolean} - true si l'action doit être approuvée
+   */
+  requiresApproval(type, details) {
+    switch (type) {
+      case 'price_change': {
+        if (!details.oldPrice) {
+          return false;
+        }
+        const changePercent = Math.abs(details.newPrice - details.oldPrice) / details.oldPrice * 100;
+        return changePercent > this.thresholds.priceChangePercent;
+      }
+      case 'content_rewrite':
+        return this.thresholds.contentRewrites;
+      case 'event_promotion':
+        return (details.promotion.prompt_ids || []).length >= this.thresholds.promotionPromptCount;
+      case 'refund_denial':
+        return this.thresholds.refundDenials;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Exécute une action, ou la propose à l'approbation si elle dépasse les seuils
+   * En simulation, l'action est exécutée directement : ses écritures sont consignées dans le plan.
+   * @param {string} type - Type d'action
+   * @param {Object} proposal - Action proposée
+   * @param {string} proposal.targetId - Ressource concernée (ID du prompt, du remboursement...)
+   * @param {string} proposal.summary - Description lisible de l'action
+   * @param {Object} proposal.details - Paramètres transmis à l'exécuteur
+   * @returns {Promise<Object>} - { status: 'executed', result } ou { status: 'pending', action }
+   */
+  async submit(type, proposal) {
+    if (isDryRun() || !this.requiresApproval(type, proposal.details)) {
+      return { status: 'executed', result: await this.execute(type, proposal.details) };
+    }
+
+    const action = await this.propose(type, proposal);
+    return { status: 'pending', action };
+  }
+
+  /**
+   * Exécute une action avec l'exécuteur de son type
+   * @param {string} type - Type d'action
+   * @param {Object} details - Paramètres de l'action
+   * @returns {Promise<*>} - Résultat de l'exécuteur
+   */
+  async execute(type, details) {
+    const executor = this.executors.get(type);
+
+    if (!executor) {
+      throw new Error(`Aucun exécuteur enregistré pour ${type}`);
+    }
+
+    return executor(details);
+  }
+
+  /**
+   * Enregistre une action en attente et notifie les liens d'approbation
+   * Une action déjà en attente pour la même cible est renvoyée telle quelle.
+   * @param {string} type - Type d'action
+   * @param {Object} proposal - Action proposée (targetId, summary, details)
+   * @returns {Promise<Object>} - Action en attente
+   */
+  async propose(type, proposal) {
+    const existing = await PendingAction.findOne({ type, target_id: proposal.targetId, status: 'pending' }).lean();
+    if (existing) {
+      console.log(`Action ${type} déjà en attente d'approbation pour ${proposal.targetId} (${existing._id})`);
+      return existing;
+    }
+
+    const context = getJobContext();
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const action = await PendingAction.create({
+      type,
+      target_id: proposal.targetId,
+      summary: proposal.summary,
+      details: proposal.details,
+      job: context ? context.job : undefined,
+      token,
+      expires_at: new Date(Date.now() + this.expiryHours * 60 * 60 * 1000)
+    });
+
+    const links = this.getDecisionLinks(action._id, token);
+
+    console.log(`Action ${type} soumise à approbation pour ${proposal.targetId} (${action._id})`);
+
+    await sendNotification({
+      type: 'warning',
+      subject: `Approbation requise: ${proposal.summary}`,
+      message: `Une action automatisée dépasse les seuils d'approbation et n'a pas été exécutée.\n\n${proposal.summary}\n\nApprouver: ${links.approve}\nRejeter: ${links.reject}\n\nSans décision, la proposition expirera le ${action.expires_at.toISOString()}.`,
+      attachment: proposal.details
+    });
+
+    const { token: omitted, ...pendingAction } = action.toObject();
+    return pendingAction;
+  }
+
+  /**
+   * Construit les liens d'approbation et de rejet d'une action
+   * @param {string} actionId - ID de l'action
+   * @param {string} token - Jeton de l'action
+   * @returns {Object} - { approve, reject }
+   */
+  getDecisionLinks(actionId, token) {
+    return {
+      approve: `${this.baseUrl}/approvals/${actionId}/approve?token=${token}`,
+      reject: `${this.baseUrl}/approvals/${actionId}/reject?token=${token}`
+    };
+  }
+
+  /**
+   * Vérifie le jeton d'un lien d'approbation
+   * @param {string} actionId - ID de l'action
+   * @param {string} token - Jeton reçu
+   * @returns {Promise<boolean>} - true si le jeton correspond
+   */
+  async verifyToken(actionId, token) {
+    if (!mongoose.isValidObjectId(actionId)) {
+      return false;
+    }
+
+    const action = await PendingAction.findById(actionId).select('+token').lean();
+
+    if (!action || !token) {
+      return false;
+    }
+
+    const received = Buffer.from(String(token));
+    const expected = Buffer.from(action.token);
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Approuve une action en attente puis l'exécute
+   * @param {string} actionId - ID de l'action
+   * @param {Object} [decision] - Décision
+   * @param {string} [decision.decidedBy] - Auteur de la décision
+   * @returns {Promise<Object|null>} - Action mise à jour, ou null si elle n'est plus en attente
+   */
+  async approve(actionId, decision = {}) {
+    if (!mongoose.isValidObjectId(actionId)) {
+      return null;
+    }
+
+    const action = await PendingAction.findOneAndUpdate(
+      { _id: actionId, status: 'pending', expires_at: { $gt: new Date() } },
+      { $set: { status: 'approved', decided_at: new Date(), decided_by: decision.decidedBy } },
+      { new: true }
+    );
+
+    if (!action) {
+      return null;
+    }
+
+    console.log(`Action ${action.type} approuvée pour ${action.target_id} (${action._id})`);
+
+    try {
+      // Une action approuvée par un humain est réellement exécutée, même si DRY_RUN ou DRY_RUN_JOBS
+      // simulent les jobs : un résultat simulé ne doit jamais être enregistré comme exécuté
+      const result = await runJob('approval', () => this.execute(action.type, action.details), { dryRun: false });
+
+      action.status = 'executed';
+      action.executed_at = new Date();
+      action.result = result;
+    } catch (error) {
+      console.error(`Erreur lors de l'exécution de l'action approuvée ${action._id}:`, error.message);
+
+      action.status = 'failed';
+      action.last_error = error.message;
+
+      await sendNotification({
+        type: 'error',
+        subject: 'Action approuvée en échec',
+        message: `L'action approuvée "${action.summary}" n'a pas pu être exécutée: ${error.message}`
+      });
+    }
+
+    await action.save();
+    return action.toObject();
+  }
+
+  /**
+   * Rejette une action en attente
+   * @param {string} actionId - ID de l'action
+   * @param {Object} [decision] - Décision
+   * @param {string} [decision.decidedBy] - Auteur de la décision
+   * @param {string} [decision.reason] - Raison du rejet
+   * @returns {Promise<Object|null>} - Action rejetée, ou null si elle n'est plus en attente
+   */
+  async reject(actionId, decision = {}) {
+    if (!mongoose.isValidObjectId(actionId)) {
+      return null;
+    }
+
+    const action = await PendingAction.findOneAndUpdate(
+      { _id: actionId, status: 'pending' },
+      {
+        $set: {
+          status: 'rejected',
+          decided_at: new Date(),
+          decided_by: decision.decidedBy,
+          decision_reason: decision.reason
+        }
+      },
+      { new: true }
+    ).lean();
+
+    if (action) {
+      console.log(`Action ${action.type} rejetée pour ${action.target_id} (${action._id})`);
+    }
+
+    return action;
+  }
+
+  /**
+   * Fait expirer les propositions restées sans décision
+   * @returns {Promise<number>} - Nombre d'actions expirées
+   */
+  async expirePendingActions() {
+    const expired = await PendingAction.find({ status: 'pending', expires_at: { $lte: new Date() } }).lean();
+
+    if (expired.length === 0) {
+      return 0;
+    }
+
+    await PendingAction.updateMany(
+      { _id: { $in: expired.map(action => action._id) }, status: 'pending' },
+      { $set: { status: 'expired' } }
+    );
+
+    console.log(`${expired.length} actions en attente expirées`);
+
+    await sendNotification({
+      type: 'info',
+      subject: 'Propositions expirées',
+      message: `${expired.length} action(s) non approuvée(s) ont expiré sans être exécutées:\n${expired.map(action => `- ${action.summary}`).join('\n')}`
+    });
+
+    return expired.length;
+  }
+
+  /**
+   * Liste les actions soumises à approbation
+   * @param {Object} [filters] - Filtres
+   * @param {string} [filters.status] - Statut (pending, approved, rejected, expired, executed, failed)
+   * @param {string} [filters.type] - Type d'action
+   * @param {number} [filters.limit] - Nombre maximal de résultats
+   * @returns {Promise<Array>} - Actions, de la plus récente à la plus ancienne
+   */
+  async listActions(filters = {}) {
+    const query = {};
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    if (filters.type) {
+      query.type = filters.type;
+    }
+
+    return PendingAction.find(query)
+      .sort({ created_at: -1 })
+      .limit(Math.min(parseInt(filters.limit, 10) || 50, 200))
+      .lean();
+  }
+
+  /**
+   * Récupère une action soumise à approbation
+   * @param {string} actionId - ID de l'action
+   * @returns {Promise<Object|null>} - Action
+   */
+  async getAction(actionId) {
+    // Un identifiant mal formé ne peut correspondre à aucune action
+    if (!mongoose.isValidObjectId(actionId)) {
+      return null;
+    }
+
+    return PendingAction.findById(actionId).lean();
+  }
+}
+
+module.exports = ApprovalService;
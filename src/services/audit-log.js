@@ -0,0 +1,152 @@
+/**
+ * Journal d'audit
+ * -------------------------------------------------
+ * Conserve chaque écriture effectuée sur SnackPrompt : job à l'origine,
+ * ressource ciblée, état avant/après, raison et identifiant de corrélation
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { AuditEntry, recordSafely } = require('../database');
+const { getJobContext } = require('../utils/job-context');
+
+class AuditLog {
+  /**
+   * Enregistre une écriture dans le journal
+   * Le job en cours fournit l'acteur, l'identifiant de corrélation et la raison.
+   * @param {Object} write - Écriture effectuée
+   * @param {string} write.method - Méthode HTTP
+   * @param {string} write.endpoint - Endpoint appelé
+   * @param {string} write.resourceType - Type de ressource (prompts, promotions...)
+   * @param {string|null} write.resourceId - ID de la ressource
+   * @param {string} [write.action] - Action sur la ressource (cancel, approve...)
+   * @param {Object|null} write.before - État avant l'écriture
+   * @param {Object|null} write.after - État après l'écriture
+   * @param {Object} [write.data] - Corps de la requête
+   * @param {Error} [write.error] - Erreur si l'écriture a échoué
+   * @returns {Promise<Object|null>} - Entrée enregistrée ou null en cas d'erreur
+   */
+  async record(write) {
+    const context = getJobContext();
+    
+    return recordSafely(AuditEntry, {
+      actor: (context && context.job) || 'system',
+      correlation_id: (context && context.runId) || crypto.randomUUID(),
+      method: write.method,
+      endpoint: write.endpoint,
+      resource_type: write.resourceType,
+      resource_id: write.resourceId,
+      action: write.action,
+      prompt_ids: this.getPromptIds(write),
+      reason: context ? context.reason : undefined,
+      before: write.before,
+      after: write.after,
+      outcome: write.error ? 'failed' : 'succeeded',
+      status_code: write.error ? write.error.status : undefined,
+      error: write.error ? write.error.message : undefined
+    });
+  }
+
+  /**
+   * Détermine les prompts concernés par une écriture
+   * @param {Object} write - Écriture effectuée
+   * @returns {Array<string>} - IDs des prompts
+   */
+  getPromptIds(write) {
+    const promptIds = new Set();
+    
+    if (write.resourceType === 'prompts' && write.resourceId) {
+      promptIds.add(write.resourceId);
+    }
+    
+    for (const source of [write.data, write.before, write.after]) {
+      if (!source) {
+        continue;
+      }
+      
+      if (source.prompt_id) {
+        promptIds.add(String(source.prompt_id));
+      }
+      
+      if (Array.isArray(source.prompt_ids)) {
+        source.prompt_ids.forEach(id => promptIds.add(String(id)));
+      }
+    }
+    
+    return [...promptIds];
+  }
+
+  /**
+   * Recherche des entrées du journal
+   * @param {Object} [filters] - Filtres
+   * @param {string} [filters.prompt_id] - Prompt concerné
+   * @param {string} [filters.job] - Job à l'origine des écritures
+   * @param {string} [filters.correlation_id] - Exécution d'un job
+   * @param {string} [filters.resource_type] - Type de ressource
+   * @param {string} [filters.from] - Date de début (ISO 8601)
+   * @param {string} [filters.to] - Date de fin (ISO 8601)
+   * @param {number} [filters.limit] - Nombre maximal de résultats
+   * @returns {Promise<Array>} - Entrées, de la plus récente à la plus ancienne
+   */
+  async query(filters = {}) {
+    const query = {};
+    
+    if (filters.prompt_id) {
+      query.prompt_ids = filters.prompt_id;
+    }
+    
+    if (filters.job) {
+      query.actor = filters.job;
+    }
+    
+    if (filters.correlation_id) {
+      query.correlation_id = filters.correlation_id;
+    }
+    
+    if (filters.resource_type) {
+      query.resource_type = filters.resource_type;
+    }
+    
+    if (filters.from || filters.to) {
+      query.created_at = {};
+      
+      if (filters.from) {
+        query.created_at.$gte = new Date(filters.from);
+      }
+      
+      if (filters.to) {
+        query.created_at.$lte = new Date(filters.to);
+      }
+    }
+    
+    return AuditEntry.find(query)
+      .sort({ created_at: -1 })
+      .limit(Math.min(parseInt(filters.limit, 10) || 100, 1000))
+      .lean();
+  }
+
+  /**
+   * Récupère les écritures d'une exécution de job, dans l'ordre chronologique
+   * @param {string} correlationId - Identifiant de corrélation de l'exécution
+   * @returns {Promise<Array>} - Entrées
+   */
+  async getRunEntries(correlationId) {
+    return AuditEntry.find({ correlation_id: correlationId }).sort({ created_at: 1, _id: 1 }).lean();
+  }
+
+  /**
+   * Récupère une entrée du journal
+   * @param {string} entryId - ID de l'entrée
+   * @returns {Promise<Object|null>} - Entrée
+   */
+  async getEntry(entryId) {
+    // Un identifiant mal formé ne peut correspondre à aucune entrée
+    if (!mongoose.isValidObjectId(entryId)) {
+      return null;
+    }
+
+    return AuditEntry.findById(entryId).lean();
+  }
+}
+
+module.exports = AuditLog;
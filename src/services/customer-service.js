@@ -6,14 +6,22 @@
 
 const { OpenAI } = require('openai');
 const { sendNotification } = require('../utils/notifications');
+const { CustomerQuestion, RefundDecision, recordSafely } = require('../database');
+const { withReason } = require('../utils/job-context');
 
 class CustomerService {
   /**
    * Initialise le service client
    * @param {Object} api - Instance de l'API SnackPrompt
+   * @param {Object} [approvalService] - Service d'approbation des actions à fort impact
    */
-  constructor(api) {
+  constructor(api, approvalService) {
     this.api = api;
+    this.approvalService = approvalService;
+    
+    if (approvalService) {
+      approvalService.register('refund_denial', details => this.applyRefundDenial(details));
+    }
     
     // Initialiser l'API OpenAI pour la génération de réponses
     this.openai = new OpenAI({
@@ -74,6 +82,17 @@ class CustomerService {
       // Mettre à jour les statistiques
       this.stats.questionsAnswered++;
       
+      await recordSafely(CustomerQuestion, {
+        question_id: questionId,
+        user_id: userId,
+        prompt_id: promptId,
+        question,
+        category,
+        response,
+        status: 'answered',
+        answered_at: new Date()
+      });
+      
       console.log(`Réponse envoyée pour la question ${questionId} (Catégorie: ${category})`);
       
       return {
@@ -92,16 +111,32 @@ class CustomerService {
       });
       
       // Essayer de renvoyer une réponse générique en cas d'erreur
+      let fallbackSent = false;
+      const genericResponse = "Je vous remercie pour votre question. Notre équipe est en train d'examiner ce point et vous contactera sous peu avec une réponse complète.";
       if (questionData && questionData.questionId) {
         try {
-          const genericResponse = "Je vous remercie pour votre question. Notre équipe est en train d'examiner ce point et vous contactera sous peu avec une réponse complète.";
           await this.api.respondToQuestion(questionData.questionId, genericResponse);
+          fallbackSent = true;
         } catch (secondError) {
           console.error('Erreur lors de l\'envoi de la réponse de secours:', secondError.message);
         }
       }
       
-      return { success: false, error: error.message };
+      if (questionData) {
+        await recordSafely(CustomerQuestion, {
+          question_id: questionData.questionId,
+          user_id: questionData.userId,
+          prompt_id: questionData.promptId,
+          question: questionData.question,
+          response: fallbackSent ? genericResponse : undefined,
+          status: fallbackSent ? 'fallback' : 'failed',
+          error: error.message,
+          answered_at: fallbackSent ? new Date() : undefined
+        });
+      }
+      
+      // La question est considérée comme traitée si la réponse de secours a été envoyée
+      return { success: fallbackSent, fallback: fallbackSent, error: error.message };
     }
   }
 
@@ -238,16 +273,9 @@ N'hésitez pas à me contacter si vous avez d'autres questions sur nos tarifs ou
    */
   async handleRefundInQuestion(userId, promptId, question) {
     try {
-      // Récupérer les informations d'achat
-      const purchaseInfo = await this.api.getPurchaseInfo(userId, promptId);
-      
-      // Calculer le nombre de jours depuis l'achat
-      const purchaseDate = new Date(purchaseInfo.purchase_date);
-      const now = new Date();
-      const daysSincePurchase = Math.floor((now - purchaseDate) / (1000 * 60 * 60 * 24));
-      
-      // Récupérer le nombre de remboursements de l'utilisateur
-      const userRefunds = await this.api.getUserRefundCount(userId);
+      // Récupérer l'achat concerné et l'historique de l'utilisateur
+      const { purchase: purchaseInfo, daysSincePurchase, previousRefunds: userRefunds } =
+        await this.getPurchaseHistory(userId, promptId);
       
       // Déterminer si le remboursement est automatiquement approuvé
       const isAutomaticallyApproved = daysSincePurchase <= this.refundThresholds.maxDaysAfterPurchase && 
@@ -281,7 +309,7 @@ Si vous rencontrez des difficultés avec le prompt, je serais heureux de vous ai
       }
     } catch (error) {
       console.error(`Erreur lors du traitement de la demande de remboursement:`, error.message);
-      return "Je vous remercie pour votre demande de remboursement. Pour traiter cette requête, veuillez utiliser le bouton "Demander un remboursement" sur la page du prompt ou dans votre historique d'achats. Notre équipe traitera votre demande dans les plus brefs délais.";
+      return "Je vous remercie pour votre demande de remboursement. Pour traiter cette requête, veuillez utiliser le bouton \"Demander un remboursement\" sur la page du prompt ou dans votre historique d'achats. Notre équipe traitera votre demande dans les plus brefs délais.";
     }
   }
 
@@ -355,16 +383,9 @@ Notre équipe est dédiée à votre satisfaction et nous sommes toujours disponi
       
       console.log(`Demande de remboursement reçue - User: ${userId}, Prompt: ${promptId}, Raison: "${reason}"`);
       
-      // Récupérer les informations d'achat
-      const purchaseInfo = await this.api.getPurchaseInfo(userId, promptId);
-      
-      // Calculer le nombre de jours depuis l'achat
-      const purchaseDate = new Date(purchaseInfo.purchase_date);
-      const now = new Date();
-      const daysSincePurchase = Math.floor((now - purchaseDate) / (1000 * 60 * 60 * 24));
-      
-      // Récupérer le nombre de remboursements de l'utilisateur
-      const userRefunds = await this.api.getUserRefundCount(userId);
+      // Récupérer l'achat concerné et l'historique de l'utilisateur
+      const history = await this.getPurchaseHistory(userId, promptId, refundData.purchaseId);
+      const { daysSincePurchase, previousRefunds: userRefunds } = history;
       
       // Déterminer si le remboursement est automatiquement approuvé
       const isAutomaticallyApproved = daysSincePurchase <= this.refundThresholds.maxDaysAfterPurchase && 
@@ -372,30 +393,51 @@ Notre équipe est dédiée à votre satisfaction et nous sommes toujours disponi
       
       // Traiter la demande
       if (isAutomaticallyApproved) {
-        await this.api.approveRefund(refundId);
+        await withReason('refund_within_policy', () => this.api.approveRefund(refundId));
         
         this.stats.refundsProcessed++;
         this.stats.refundsApproved++;
         
         console.log(`Remboursement ${refundId} approuvé automatiquement`);
         
-        return {
+        const result = {
           success: true,
           approved: true,
           autoApproved: true,
-          reason: `Remboursement automatique: ${daysSincePurchase} jours depuis l'achat, ${userRefunds} remboursements précédents`
+          reason: `Remboursement automatique: ${daysSincePurchase} jours depuis l'achat, ${userRefunds} remboursements précédents pour ${history.purchasesCount} achats`
         };
+        
+        await this.recordRefundDecision(refundData, 'approved', result.reason, history);
+        
+        return result;
       } else {
         // Dans une implémentation réelle avec plus de logique, on pourrait avoir des cas où le remboursement
         // est automatiquement refusé, mais pour ce prototype, nous refusons uniquement si l'achat date de plus de 7 jours
         
         if (daysSincePurchase > 7) {
           const denyReason = `Nous ne pouvons traiter votre demande de remboursement car elle dépasse notre fenêtre de remboursement de 7 jours.`;
+          const denial = { refundData, reason: denyReason, history };
           
-          await this.api.denyRefund(refundId, denyReason);
+          // Le refus peut nécessiter une approbation humaine
+          const outcome = this.approvalService
+            ? await this.approvalService.submit('refund_denial', {
+              targetId: refundId,
+              summary: `Refus du remboursement ${refundId} (prompt ${promptId}, ${daysSincePurchase} jours depuis l'achat)`,
+              details: denial
+            })
+            : { status: 'executed', result: await this.applyRefundDenial(denial) };
           
-          this.stats.refundsProcessed++;
-          this.stats.refundsDenied++;
+          if (outcome.status === 'pending') {
+            const rationale = `Refus en attente d'approbation: ${daysSincePurchase} jours depuis l'achat`;
+            await this.recordRefundDecision(refundData, 'manual_review', rationale, history);
+            
+            return {
+              success: true,
+              approved: null,
+              pendingApproval: true,
+              reason: rationale
+            };
+          }
           
           console.log(`Remboursement ${refundId} refusé automatiquement (${daysSincePurchase} jours depuis l'achat)`);
           
@@ -415,12 +457,16 @@ Notre équipe est dédiée à votre satisfaction et nous sommes toujours disponi
           
           console.log(`Remboursement ${refundId} marqué pour révision manuelle`);
           
-          return {
+          const result = {
             success: true,
             approved: null,
             needsManualReview: true,
-            reason: `Cas limite: ${daysSincePurchase} jours depuis l'achat, ${userRefunds} remboursements précédents`
+            reason: `Cas limite: ${daysSincePurchase} jours depuis l'achat, ${userRefunds} remboursements précédents pour ${history.purchasesCount} achats`
           };
+          
+          await this.recordRefundDecision(refundData, 'manual_review', result.reason, history);
+          
+          return result;
         }
       }
     } catch (error) {
@@ -433,10 +479,87 @@ Notre équipe est dédiée à votre satisfaction et nous sommes toujours disponi
         message: `Erreur lors du traitement d'une demande de remboursement: ${error.message}`
       });
       
+      if (refundData) {
+        await this.recordRefundDecision(refundData, 'failed', error.message);
+      }
+      
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Refuse une demande de remboursement et enregistre la décision
+   * @param {Object} denial - Refus
+   * @param {Object} denial.refundData - Données de la demande de remboursement
+   * @param {string} denial.reason - Raison communiquée au client
+   * @param {Object} [denial.history] - Historique d'achats de l'utilisateur
+   * @returns {Promise<Object>} - Résultat de l'API
+   */
+  async applyRefundDenial({ refundData, reason, history = {} }) {
+    const result = await withReason('refund_outside_window', () => this.api.denyRefund(refundData.refundId, reason));
+    
+    this.stats.refundsProcessed++;
+    this.stats.refundsDenied++;
+    
+    await this.recordRefundDecision(refundData, 'denied', reason, history);
+    
+    return result;
+  }
+
+  /**
+   * Récupère l'achat concerné par une demande et l'historique d'achats de l'utilisateur
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} promptId - ID du prompt
+   * @param {string} [purchaseId] - ID de l'achat, s'il est connu
+   * @returns {Promise<Object>} - Achat, jours depuis l'achat, remboursements précédents et nombre d'achats
+   */
+  async getPurchaseHistory(userId, promptId, purchaseId) {
+    const [purchases, previousRefunds] = await Promise.all([
+      this.api.getUserPurchases(userId),
+      this.api.getUserRefundCount(userId)
+    ]);
+    
+    // À défaut d'ID d'achat, retenir l'achat le plus récent du prompt
+    const purchase = purchases
+      .filter(p => purchaseId ? p.id === purchaseId : p.prompt_id === promptId)
+      .sort((a, b) => new Date(b.purchase_date) - new Date(a.purchase_date))[0];
+    
+    if (!purchase) {
+      throw new Error(`Aucun achat du prompt ${promptId} trouvé pour l'utilisateur ${userId}`);
+    }
+    
+    return {
+      purchase,
+      daysSincePurchase: Math.floor((Date.now() - new Date(purchase.purchase_date)) / (1000 * 60 * 60 * 24)),
+      previousRefunds,
+      purchasesCount: purchases.length
+    };
+  }
+
+  /**
+   * Enregistre la décision prise sur une demande de remboursement
+   * @param {Object} refundData - Données de la demande de remboursement
+   * @param {string} decision - Décision (approved, denied, manual_review, failed)
+   * @param {string} rationale - Justification de la décision
+   * @param {Object} [history] - Historique d'achats renvoyé par getPurchaseHistory
+   * @returns {Promise<Object|null>} - Décision enregistrée
+   */
+  async recordRefundDecision(refundData, decision, rationale, history = {}) {
+    return recordSafely(RefundDecision, {
+      refund_id: refundData.refundId,
+      user_id: refundData.userId,
+      prompt_id: refundData.promptId,
+      purchase_id: history.purchase ? history.purchase.id : refundData.purchaseId,
+      request_reason: refundData.reason,
+      decision,
+      automatic: ['approved', 'denied'].includes(decision),
+      rationale,
+      days_since_purchase: history.daysSincePurchase,
+      previous_refunds: history.previousRefunds,
+      purchases_count: history.purchasesCount
+    });
+  }
+
   /**
    * Obtient les statistiques du service client
    * @returns {Object} - Statistiques du service client
@@ -0,0 +1,214 @@
+/**
+ * Historique des prix
+ * -------------------------------------------------
+ * Enregistre chaque changement de prix (job, exécution, raison) et applique
+ * les garde-fous de repricing : délai minimal entre deux changements et
+ * dérive cumulée maximale par jour et par semaine. Conserve aussi le prix
+ * catalogue des prompts, que les promotions remisent sans le modifier.
+ */
+
+const { PriceChange, Prompt, Promotion, recordSafely } = require('../database');
+const { getJobContext, isDryRun } = require('../utils/job-context');
+const { applyPricingPolicy } = require('../utils/pricing-policy');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+class PriceHistory {
+  /**
+   * Initialise l'historique des prix
+   * @param {Object} api - Instance de l'API SnackPrompt
+   */
+  constructor(api) {
+    this.api = api;
+
+    // Garde-fous appliqués aux changements de prix automatiques
+    this.guard = {
+      cooldownHours: parseFloat(process.env.PRICE_CHANGE_COOLDOWN_HOURS) || 24, // Délai minimal entre deux changements
+      maxDailyDriftPercent: parseFloat(process.env.PRICE_MAX_DAILY_DRIFT_PERCENT) || 10, // Dérive cumulée maximale sur 24h
+      maxWeeklyDriftPercent: parseFloat(process.env.PRICE_MAX_WEEKLY_DRIFT_PERCENT) || 25, // Dérive cumulée maximale sur 7 jours
+      recentChangeDays: parseFloat(process.env.PRICE_RECENT_CHANGE_DAYS) || 7 // Fenêtre du signal price_changed_recently
+    };
+  }
+
+  /**
+   * Vérifie qu'un changement de prix respecte les garde-fous
+   * @param {string} promptId - ID du prompt
+   * @param {number} currentPrice - Prix actuel
+   * @param {number} newPrice - Prix proposé
+   * @returns {Promise<Object>} - { allowed, reason }
+   */
+  async checkChange(promptId, currentPrice, newPrice) {
+    const now = Date.now();
+    const changes = await PriceChange.find({ prompt_id: promptId, created_at: { $gte: new Date(now - 7 * DAY) } })
+      .sort({ created_at: 1 })
+      .lean();
+
+    const last = changes[changes.length - 1];
+    if (last && now - last.created_at.getTime() < this.guard.cooldownHours * HOUR) {
+      const hoursLeft = Math.ceil((this.guard.cooldownHours * HOUR - (now - last.created_at.getTime())) / HOUR);
+      return { allowed: false, reason: `Prix modifié le ${last.created_at.toISOString()}, délai minimal de ${this.guard.cooldownHours}h (encore ${hoursLeft}h)` };
+    }
+
+    const windows = [
+      { label: '24h', since: now - DAY, maxPercent: this.guard.maxDailyDriftPercent },
+      { label: '7 jours', since: now - 7 * DAY, maxPercent: this.guard.maxWeeklyDriftPercent }
+    ];
+
+    for (const window of windows) {
+      const drift = this.getDrift(changes.filter(change => change.created_at.getTime() >= window.since), currentPrice, newPrice);
+
+      if (drift > window.maxPercent) {
+        return { allowed: false, reason: `Dérive de ${drift}% sur ${window.label} (maximum ${window.maxPercent}%)` };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Calcule la dérive cumulée qu'entraînerait un nouveau prix sur une fenêtre
+   * La référence est le prix en vigueur au début de la fenêtre.
+   * @param {Array} changes - Changements de la fenêtre, du plus ancien au plus récent
+   * @param {number} currentPrice - Prix actuel
+   * @param {number} newPrice - Prix proposé
+   * @returns {number} - Dérive en pourcentage (arrondie au centième)
+   */
+  getDrift(changes, currentPrice, newPrice) {
+    const reference = changes.length > 0 && changes[0].old_price > 0 ? changes[0].old_price : currentPrice;
+
+    if (!reference) {
+      return 0;
+    }
+
+    return Math.round(Math.abs(newPrice - reference) / reference * 10000) / 100;
+  }
+
+  /**
+   * Modifie le prix d'un prompt après vérification des garde-fous, puis l'enregistre
+   * @param {string} promptId - ID du prompt
+   * @param {number} oldPrice - Prix actuel
+   * @param {number} newPrice - Nouveau prix
+   * @param {Object} change - Origine du changement
+   * @param {string} change.reason - Raison du changement
+   * @param {string} change.source - Service à l'origine du changement
+   * @param {string} [change.category] - Catégorie du prompt
+   * @returns {Promise<Object>} - Prompt mis à jour
+   */
+  async changePrice(promptId, oldPrice, newPrice, change) {
+    const check = await this.checkChange(promptId, oldPrice, newPrice);
+
+    if (!check.allowed) {
+      throw new Error(`Changement de prix du prompt ${promptId} refusé: ${check.reason}`);
+    }
+
+    const updatedPrompt = await this.api.updatePromptPrice(promptId, newPrice, change.category);
+    await this.record(promptId, oldPrice, newPrice, change.reason, change.source);
+
+    if (updatedPrompt && !updatedPrompt.on_promotion) {
+      await this.setListPrice(promptId, updatedPrompt.price !== undefined ? updatedPrompt.price : newPrice);
+    }
+
+    return updatedPrompt;
+  }
+
+  /**
+   * Retourne le prix catalogue d'un prompt
+   * Hors promotion, c'est le prix affiché. En promotion, c'est le prix conservé à
+   * l'application de la remise ; le prix n'est reconstruit à partir de la remise
+   * que pour les promotions antérieures à la conservation du prix catalogue.
+   * @param {Object} prompt - Données du prompt (id, price, on_promotion, promotion_percentage, category)
+   * @returns {Promise<number>} - Prix catalogue
+   */
+  async getListPrice(prompt) {
+    if (!prompt.on_promotion) {
+      return prompt.price;
+    }
+
+    const stored = await Prompt.findOne({ prompt_id: prompt.id }).select('list_price').lean()
+      .catch(error => {
+        console.error(`Erreur lors de la lecture du prix catalogue du prompt ${prompt.id}:`, error.message);
+        return null;
+      });
+
+    if (stored && stored.list_price > 0) {
+      return stored.list_price;
+    }
+
+    const overlay = await Promotion.findOne({ type: 'prompt', prompt_ids: prompt.id, status: { $in: ['active', 'expiring'] }, [`list_prices.${prompt.id}`]: { $gt: 0 } })
+      .sort({ start_time: -1 })
+      .lean()
+      .catch(() => null);
+
+    if (overlay) {
+      return overlay.list_prices[prompt.id];
+    }
+
+    console.warn(`Prix catalogue du prompt ${prompt.id} inconnu, reconstruit à partir de la remise de ${prompt.promotion_percentage}%`);
+    return applyPricingPolicy(prompt.price / (1 - prompt.promotion_percentage / 100), { category: prompt.category });
+  }
+
+  /**
+   * Conserve le prix catalogue d'un prompt
+   * En simulation, rien n'est conservé.
+   * @param {string} promptId - ID du prompt
+   * @param {number} listPrice - Prix catalogue
+   * @returns {Promise<void>}
+   */
+  async setListPrice(promptId, listPrice) {
+    if (isDryRun() || !(listPrice > 0)) {
+      return;
+    }
+
+    await Prompt.updateOne({ prompt_id: promptId }, { $set: { list_price: listPrice } }, { upsert: true })
+      .catch(error => console.error(`Erreur lors de l'enregistrement du prix catalogue du prompt ${promptId}:`, error.message));
+  }
+
+  /**
+   * Enregistre un changement de prix dans l'historique
+   * Le job et l'exécution en cours sont repris du contexte.
+   * @param {string} promptId - ID du prompt
+   * @param {number} oldPrice - Ancien prix
+   * @param {number} newPrice - Nouveau prix
+   * @param {string} reason - Raison du changement
+   * @param {string} source - Service à l'origine du changement
+   * @returns {Promise<Object|null>} - Changement enregistré
+   */
+  async record(promptId, oldPrice, newPrice, reason, source) {
+    const context = getJobContext();
+
+    return recordSafely(PriceChange, {
+      prompt_id: promptId,
+      old_price: oldPrice,
+      new_price: newPrice,
+      reason,
+      source,
+      job: context && context.job ? context.job : undefined,
+      run_id: context && context.runId ? context.runId : undefined
+    });
+  }
+
+  /**
+   * Indique quels prompts ont changé de prix récemment
+   * @param {Array<string>} promptIds - IDs des prompts
+   * @returns {Promise<Set<string>>} - IDs des prompts dont le prix a changé sur la fenêtre récente
+   */
+  async getRecentlyChanged(promptIds) {
+    const since = new Date(Date.now() - this.guard.recentChangeDays * DAY);
+    const changed = await PriceChange.distinct('prompt_id', { prompt_id: { $in: promptIds }, created_at: { $gte: since } });
+
+    return new Set(changed);
+  }
+
+  /**
+   * Récupère l'historique des prix d'un prompt
+   * @param {string} promptId - ID du prompt
+   * @param {number} [limit] - Nombre maximal de changements
+   * @returns {Promise<Array>} - Changements, du plus récent au plus ancien
+   */
+  async getHistory(promptId, limit = 100) {
+    return PriceChange.find({ prompt_id: promptId }).sort({ created_at: -1 }).limit(limit).lean();
+  }
+}
+
+module.exports = PriceHistory;
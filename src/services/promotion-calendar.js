@@ -0,0 +1,380 @@
+/**
+ * Calendrier des promotions
+ * -------------------------------------------------
+ * Rassemble tout ce qui occupe un prompt dans le temps (ventes flash,
+ * événements spéciaux, promotions de prompt, bundles, tests A/B) pour
+ * détecter les chevauchements avant de programmer une promotion, et les
+ * résoudre selon un ordre de priorité configurable
+ */
+
+const { Promotion, ABTest } = require('../database');
+const { withReason, isDryRun } = require('../utils/job-context');
+
+// Types d'occupation d'un prompt
+const KINDS = ['ab_test', 'special_event', 'prompt', 'flash_sale', 'bundle'];
+
+// Occupations qui remisent le prix : deux remises ne se cumulent jamais
+const DISCOUNT_KINDS = ['special_event', 'prompt', 'flash_sale'];
+
+/**
+ * Lit l'ordre de priorité des occupations, de la plus prioritaire à la moins prioritaire
+ * PROMOTION_PRIORITIES liste les types (ex: ab_test,special_event,prompt,flash_sale,bundle) ;
+ * les types omis sont placés après ceux listés, dans l'ordre par défaut.
+ * @returns {Array<string>} - Types ordonnés
+ */
+const getPriorities = () => {
+  const configured = (process.env.PROMOTION_PRIORITIES || '')
+    .split(',')
+    .map(kind => kind.trim())
+    .filter(kind => KINDS.includes(kind));
+
+  return [...new Set([...configured, ...KINDS])];
+};
+
+class PromotionCalendar {
+  /**
+   * Initialise le calendrier des promotions
+   * @param {Object} api - Instance de l'API SnackPrompt
+   */
+  constructor(api) {
+    this.api = api;
+    this.priorities = getPriorities();
+  }
+
+  /**
+   * Indique si un type d'occupation est prioritaire sur un autre
+   * @param {string} kind - Type de l'occupation
+   * @param {string} otherKind - Type de l'autre occupation
+   * @returns {boolean} - true si kind est strictement prioritaire
+   */
+  outranks(kind, otherKind) {
+    return this.priorities.indexOf(kind) < this.priorities.indexOf(otherKind);
+  }
+
+  /**
+   * Charge les occupations en cours et à venir de tous les prompts
+   * @returns {Promise<Array>} - Occupations { kind, id, name, prompt_ids, start, end, active, displaceable, source }
+   */
+  async load() {
+    const now = Date.now();
+    const [scheduled, active, prompts, bundles, localPromotions, abTests] = await Promise.all([
+      this.api.getPromotions({ status: 'scheduled' }),
+      this.api.getPromotions({ status: 'active' }),
+      this.api.getPrompts(),
+      this.api.getBundles(),
+      Promotion.find({ status: { $in: ['scheduled', 'activating', 'active', 'expiring'] } }).lean().catch(() => []),
+      ABTest.find({ status: { $in: ['running', 'finishing'] } }).lean().catch(() => [])
+    ]);
+
+    const localByPromotionId = new Map(
+      localPromotions.filter(promotion => promotion.promotion_id).map(promotion => [promotion.promotion_id, promotion])
+    );
+    const entries = [];
+
+    // Promotions programmées sur la plateforme
+    for (const promotion of [...scheduled, ...active]) {
+      const local = localByPromotionId.get(promotion.id);
+      entries.push({
+        kind: local && local.type === 'special_event' ? 'special_event' : 'flash_sale',
+        id: promotion.id,
+        name: promotion.name,
+        prompt_ids: promotion.prompt_ids || [],
+        start: new Date(promotion.start_time).getTime(),
+        end: new Date(promotion.end_time).getTime(),
+        active: promotion.status === 'active',
+        displaceable: promotion.status === 'scheduled',
+        source: 'platform'
+      });
+    }
+
+    // Promotions de prompt (remise du prix catalogue)
+    const coveredPromptIds = new Set();
+    for (const promotion of localPromotions.filter(promotion => promotion.type === 'prompt')) {
+      promotion.prompt_ids.forEach(promptId => coveredPromptIds.add(promptId));
+      entries.push({
+        kind: 'prompt',
+        id: promotion._id.toString(),
+        name: promotion.name,
+        prompt_ids: promotion.prompt_ids,
+        start: promotion.start_time ? new Date(promotion.start_time).getTime() : now,
+        end: promotion.end_time ? new Date(promotion.end_time).getTime() : Infinity,
+        active: promotion.status !== 'scheduled',
+        displaceable: promotion.status === 'scheduled',
+        source: 'local'
+      });
+    }
+
+    // Prompts remisés sur la plateforme sans promotion enregistrée localement
+    for (const prompt of prompts.filter(prompt => prompt.on_promotion && !coveredPromptIds.has(prompt.id))) {
+      entries.push({
+        kind: 'prompt',
+        id: prompt.id,
+        name: `Promotion ${prompt.id}`,
+        prompt_ids: [prompt.id],
+        start: now,
+        end: prompt.promotion_end_date ? new Date(prompt.promotion_end_date).getTime() : Infinity,
+        active: true,
+        displaceable: false,
+        source: 'platform'
+      });
+    }
+
+    // Tests A/B en cours ; un prompt marqué en test sans test enregistré est occupé sans fin connue
+    const testedPromptIds = new Set(abTests.map(test => test.prompt_id));
+    for (const test of abTests) {
+      entries.push({
+        kind: 'ab_test',
+        id: test._id.toString(),
+        name: `Test A/B ${test.prompt_id}`,
+        prompt_ids: [test.prompt_id],
+        start: new Date(test.started_at).getTime(),
+        end: new Date(test.ends_at).getTime(),
+        active: true,
+        displaceable: false,
+        source: 'local'
+      });
+    }
+
+    for (const prompt of prompts.filter(prompt => prompt.currently_testing && !testedPromptIds.has(prompt.id))) {
+      entries.push({
+        kind: 'ab_test',
+        id: prompt.id,
+        name: `Test A/B ${prompt.id}`,
+        prompt_ids: [prompt.id],
+        start: now,
+        end: Infinity,
+        active: true,
+        displaceable: false,
+        source: 'platform'
+      });
+    }
+
+    // Bundles : permanents
+    for (const bundle of bundles) {
+      entries.push({
+        kind: 'bundle',
+        id: bundle.id,
+        name: bundle.name,
+        prompt_ids: bundle.prompt_ids || [],
+        start: -Infinity,
+        end: Infinity,
+        active: true,
+        displaceable: false,
+        source: 'platform'
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Résout les chevauchements d'une promotion à programmer avec le calendrier
+   * Pour chaque prompt, la promotion ne l'obtient que si elle est prioritaire sur toutes
+   * les occupations qui chevauchent sa période. Une promotion moins prioritaire qui n'a
+   * pas commencé lui cède le prompt ; une remise déjà en cours n'est jamais interrompue
+   * ni cumulée ; un test A/B ou un bundle moins prioritaire coexiste avec la promotion.
+   * @param {Object} candidate - Promotion à programmer
+   * @param {string} candidate.kind - Type (flash_sale, special_event, prompt)
+   * @param {Array<string>} candidate.prompt_ids - Prompts visés
+   * @param {string|Date} candidate.start_time - Début
+   * @param {string|Date} candidate.end_time - Fin
+   * @param {Array} entries - Occupations (voir load)
+   * @returns {Object} - { prompt_ids, excluded, displaced, coexisting }
+   */
+  resolve(candidate, entries) {
+    const start = new Date(candidate.start_time).getTime();
+    const end = new Date(candidate.end_time).getTime();
+    const resolution = { prompt_ids: [], excluded: [], displaced: [], coexisting: [] };
+
+    for (const promptId of candidate.prompt_ids) {
+      const overlapping = entries.filter(entry =>
+        entry.prompt_ids.includes(promptId) && entry.start < end && entry.end > start
+      );
+
+      const blocking = overlapping.find(entry =>
+        !this.outranks(candidate.kind, entry.kind) ||
+        (DISCOUNT_KINDS.includes(entry.kind) && !entry.displaceable)
+      );
+
+      if (blocking) {
+        resolution.excluded.push({ prompt_id: promptId, conflict: this.describe(blocking) });
+        continue;
+      }
+
+      resolution.prompt_ids.push(promptId);
+
+      for (const entry of overlapping) {
+        const target = entry.displaceable ? resolution.displaced : resolution.coexisting;
+        target.push({ prompt_id: promptId, conflict: this.describe(entry), entry });
+      }
+    }
+
+    return resolution;
+  }
+
+  /**
+   * Réserve les prompts d'une promotion à programmer : charge le calendrier et résout
+   * les chevauchements. Les prompts attribués ne sont retirés des promotions moins
+   * prioritaires qu'à la confirmation (confirm), une fois la promotion effectivement
+   * programmée : un échec entre-temps ne prive aucune promotion de ses prompts.
+   * Un job qui programme plusieurs promotions charge le calendrier une fois et le passe
+   * à chaque réservation, en y ajoutant (add) les promotions programmées.
+   * @param {Object} candidate - Promotion à programmer (voir resolve)
+   * @param {Array} [entries] - Occupations déjà chargées (voir load), mises à jour à la confirmation
+   * @returns {Promise<Object>} - Résolution (voir resolve) et occupations utilisées (entries)
+   */
+  async reserve(candidate, entries) {
+    entries = entries || await this.load();
+    const resolution = this.resolve(candidate, entries);
+
+    resolution.excluded.forEach(({ prompt_id: promptId, conflict }) =>
+      console.log(`Prompt ${promptId} écarté de la promotion "${candidate.name || candidate.kind}": conflit avec ${conflict.kind} "${conflict.name}"`)
+    );
+
+    return { ...resolution, entries };
+  }
+
+  /**
+   * Confirme une réservation une fois la promotion programmée : retire les prompts
+   * attribués des promotions moins prioritaires
+   * @param {Object} reservation - Réservation (voir reserve)
+   * @returns {Promise<Array>} - Promotions modifiées (voir displace)
+   */
+  async confirm(reservation) {
+    return this.displace(reservation, reservation.entries);
+  }
+
+  /**
+   * Retire des promotions moins prioritaires les prompts attribués à une promotion
+   * Une promotion privée de tous ses prompts est annulée.
+   * @param {Object} resolution - Résolution (voir resolve)
+   * @param {Array} entries - Occupations, mises à jour en conséquence
+   * @returns {Promise<Array>} - Promotions modifiées { id, name, removed, cancelled }
+   */
+  async displace(resolution, entries) {
+    const byEntry = new Map();
+
+    for (const { prompt_id: promptId, entry } of resolution.displaced) {
+      if (!byEntry.has(entry)) {
+        byEntry.set(entry, []);
+      }
+      byEntry.get(entry).push(promptId);
+    }
+
+    const changes = [];
+
+    await withReason('promotion_conflict', async () => {
+      for (const [entry, removed] of byEntry) {
+        const remaining = entry.prompt_ids.filter(promptId => !removed.includes(promptId));
+
+        try {
+          if (entry.source === 'platform') {
+            if (remaining.length === 0) {
+              await this.api.cancelPromotion(entry.id);
+            } else {
+              await this.api.updatePromotion(entry.id, { prompt_ids: remaining });
+            }
+          }
+
+          if (!isDryRun()) {
+            const filter = entry.source === 'platform' ? { promotion_id: entry.id } : { _id: entry.id };
+            await Promotion.updateOne(
+              filter,
+              remaining.length === 0 ? { $set: { status: 'cancelled', prompt_ids: [] } } : { $set: { prompt_ids: remaining } }
+            ).catch(error => console.error(`Erreur lors de la mise à jour locale de la promotion ${entry.name}:`, error.message));
+          }
+
+          entry.prompt_ids = remaining;
+          if (remaining.length === 0) {
+            entries.splice(entries.indexOf(entry), 1);
+          }
+
+          console.log(`Promotion "${entry.name}": ${removed.length} prompt(s) cédé(s) à une promotion prioritaire${remaining.length === 0 ? ', promotion annulée' : ''}`);
+          changes.push({ id: entry.id, name: entry.name, removed, cancelled: remaining.length === 0 });
+        } catch (error) {
+          console.error(`Erreur lors de la résolution du conflit avec la promotion ${entry.name}:`, error.message);
+        }
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Ajoute au calendrier une promotion qui vient d'être programmée
+   * @param {Array} entries - Occupations
+   * @param {Object} promotion - Promotion programmée (kind, id, name, prompt_ids, start_time, end_time)
+   * @param {Object} [options] - Options
+   * @param {string} [options.source] - Origine (platform ou local)
+   */
+  add(entries, promotion, options = {}) {
+    const start = new Date(promotion.start_time).getTime();
+
+    entries.push({
+      kind: promotion.kind,
+      id: promotion.id,
+      name: promotion.name,
+      prompt_ids: promotion.prompt_ids,
+      start,
+      end: new Date(promotion.end_time).getTime(),
+      active: start <= Date.now(),
+      displaceable: start > Date.now(),
+      source: options.source || 'platform'
+    });
+  }
+
+  /**
+   * Liste les chevauchements présents dans le calendrier
+   * Seuls les chevauchements impliquant une remise sont signalés : deux remises
+   * cumulées, ou une remise pendant un test A/B ou sur un prompt en bundle.
+   * @param {Object} [period] - Période examinée
+   * @param {Date} [period.from] - Début (défaut: maintenant)
+   * @param {Date} [period.to] - Fin (défaut: sans limite)
+   * @returns {Promise<Array>} - Chevauchements { prompt_id, entries, start, end, winner }
+   */
+  async findConflicts(period = {}) {
+    const from = period.from ? period.from.getTime() : Date.now();
+    const to = period.to ? period.to.getTime() : Infinity;
+    const entries = (await this.load()).filter(entry => entry.start < to && entry.end > from);
+    const conflicts = [];
+
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const [first, second] = [entries[i], entries[j]];
+
+        if (!DISCOUNT_KINDS.includes(first.kind) && !DISCOUNT_KINDS.includes(second.kind)) {
+          continue;
+        }
+
+        const start = Math.max(first.start, second.start, from);
+        const end = Math.min(first.end, second.end, to);
+        if (start >= end) {
+          continue;
+        }
+
+        for (const promptId of first.prompt_ids.filter(id => second.prompt_ids.includes(id))) {
+          conflicts.push({
+            prompt_id: promptId,
+            entries: [this.describe(first), this.describe(second)],
+            start: Number.isFinite(start) ? new Date(start).toISOString() : null,
+            end: Number.isFinite(end) ? new Date(end).toISOString() : null,
+            winner: this.outranks(second.kind, first.kind) ? second.kind : first.kind
+          });
+        }
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Décrit une occupation pour les journaux et les rapports
+   * @param {Object} entry - Occupation
+   * @returns {Object} - { kind, id, name }
+   */
+  describe(entry) {
+    return { kind: entry.kind, id: entry.id, name: entry.name };
+  }
+}
+
+module.exports = PromotionCalendar;
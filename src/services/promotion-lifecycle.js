@@ -0,0 +1,427 @@
+/**
+ * Cycle de vie des promotions
+ * -------------------------------------------------
+ * Active et expire les promotions à leurs dates exactes : une promotion de
+ * prompt remise le prix catalogue à son début et le rétablit à sa fin, une
+ * promotion programmée sur la plateforme change seulement d'état localement.
+ * Chaque transition est notifiée ; les transitions manquées pendant un arrêt
+ * du système sont rattrapées au démarrage.
+ */
+
+const { Promotion } = require('../database');
+const { sendNotification } = require('../utils/notifications');
+const { runJob, runOutsideJob, withReason, isDryRun } = require('../utils/job-context');
+
+// setTimeout ne supporte pas de délai supérieur à ~24,8 jours
+const MAX_TIMER_DELAY = 2147483647;
+
+// Retard au-delà duquel une transition est signalée comme rattrapée
+const CATCH_UP_DELAY = 60 * 1000; // 1 minute
+
+class PromotionLifecycle {
+  /**
+   * Initialise le cycle de vie des promotions
+   * @param {Object} api - Instance de l'API SnackPrompt
+   * @param {Object} promotionService - Service de promotion
+   */
+  constructor(api, promotionService) {
+    this.api = api;
+    this.promotionService = promotionService;
+    this.maxAttempts = 5; // Nombre maximal de tentatives d'une transition
+
+    this.timer = null;
+    this.isProcessing = false;
+    this.simulated = new Set(); // Transitions déjà simulées (id:transition), pour ne les notifier qu'une fois
+  }
+
+  /**
+   * Démarre le worker : reprend les transitions interrompues, rattrape les
+   * transitions manquées pendant l'arrêt puis planifie la prochaine échéance
+   * @returns {Promise<Object>} - Transitions effectuées { activated, expired, failed }
+   */
+  async start() {
+    console.log('Reprise du cycle de vie des promotions...');
+
+    // Une transition interrompue par un arrêt du processus est reprise depuis le début
+    await Promotion.updateMany({ status: 'activating' }, { $set: { status: 'scheduled' } });
+    await Promotion.updateMany({ status: 'expiring' }, { $set: { status: 'active' } });
+
+    return this.refresh();
+  }
+
+  /**
+   * Arrête le worker
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Effectue les transitions dues puis planifie la prochaine échéance
+   * Appelé par le timer et périodiquement, pour prendre en compte les promotions créées entre-temps.
+   * @returns {Promise<Object>} - Transitions effectuées { activated, expired, failed }
+   */
+  async refresh() {
+    const summary = await this.processDue();
+    await this.armNextBoundary();
+    return summary;
+  }
+
+  /**
+   * Effectue les activations et expirations dont la date est atteinte
+   * @returns {Promise<Object>} - Transitions effectuées { activated, expired, failed }
+   */
+  async processDue() {
+    const summary = { activated: 0, expired: 0, failed: 0 };
+
+    // Un seul passage à la fois
+    if (this.isProcessing) {
+      return summary;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      const now = new Date();
+      const [dueStarts, dueEnds] = await Promise.all([
+        Promotion.find({ status: 'scheduled', start_time: { $lte: now } }).sort({ start_time: 1 }).lean(),
+        Promotion.find({ status: 'active', end_time: { $lte: now } }).sort({ end_time: 1 }).lean()
+      ]);
+
+      const transitions = [
+        ...dueStarts.map(promotion => ({ promotion, transition: 'activate' })),
+        ...dueEnds.map(promotion => ({ promotion, transition: 'expire' }))
+      ].filter(({ promotion, transition }) => !this.simulated.has(`${promotion._id}:${transition}`));
+
+      if (transitions.length === 0) {
+        return summary;
+      }
+
+      await runJob('promotion_lifecycle', async () => {
+        for (const { promotion, transition } of transitions) {
+          const status = transition === 'activate' ? await this.activate(promotion) : await this.expire(promotion);
+
+          if (!status) {
+            summary.failed++;
+          } else if (status === 'active') {
+            summary.activated++;
+          } else {
+            summary.expired++;
+          }
+        }
+      });
+
+      console.log(`Cycle de vie des promotions: ${summary.activated} activées, ${summary.expired} expirées, ${summary.failed} en échec`);
+    } catch (error) {
+      console.error('Erreur lors du traitement du cycle de vie des promotions:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Arme le timer sur la prochaine date de début ou de fin
+   * @returns {Promise<Date|null>} - Prochaine échéance, null s'il n'y en a pas
+   */
+  async armNextBoundary() {
+    const now = new Date();
+    const [nextStart, nextEnd] = await Promise.all([
+      Promotion.findOne({ status: 'scheduled', start_time: { $gt: now } }).sort({ start_time: 1 }).select('start_time').lean(),
+      Promotion.findOne({ status: { $in: ['scheduled', 'active'] }, end_time: { $gt: now } }).sort({ end_time: 1 }).select('end_time').lean()
+    ]);
+
+    const boundaries = [nextStart && nextStart.start_time, nextEnd && nextEnd.end_time]
+      .filter(Boolean)
+      .map(date => new Date(date).getTime());
+
+    this.stop();
+
+    if (boundaries.length === 0) {
+      return null;
+    }
+
+    const nextBoundary = Math.min(...boundaries);
+
+    // Le délai a pu être tronqué à MAX_TIMER_DELAY : refresh réarme alors sur la même échéance
+    this.timer = setTimeout(() => runOutsideJob(() => {
+      this.timer = null;
+      this.refresh().catch(error => console.error('Erreur lors du cycle de vie des promotions:', error.message));
+    }), Math.min(Math.max(nextBoundary - Date.now(), 0), MAX_TIMER_DELAY));
+
+    return new Date(nextBoundary);
+  }
+
+  /**
+   * Active une promotion programmée
+   * Une promotion dont la fin est déjà passée (système arrêté pendant toute sa durée) expire
+   * directement : une promotion de prompt n'a alors jamais été appliquée.
+   * @param {Object} promotion - Promotion programmée
+   * @returns {Promise<string|false>} - Nouvel état (active ou expired), false si la transition n'a pas abouti
+   */
+  async activate(promotion) {
+    if (promotion.end_time && new Date(promotion.end_time).getTime() <= Date.now()) {
+      const claimed = await this.claim(promotion, 'scheduled', 'expiring');
+      if (!claimed) {
+        return false;
+      }
+
+      await this.complete(promotion, 'expired', { expired_at: new Date() });
+      await this.notify(promotion, promotion.type === 'prompt' ? 'skipped' : 'expired');
+      return 'expired';
+    }
+
+    const claimed = await this.claim(promotion, 'scheduled', 'activating');
+    if (!claimed) {
+      return false;
+    }
+
+    // Les promotions programmées sur la plateforme y sont appliquées : seul l'état local change
+    if (promotion.type !== 'prompt') {
+      await this.complete(promotion, 'active', { activated_at: new Date() });
+      await this.notify(promotion, 'activated');
+      return 'active';
+    }
+
+    const listPrices = {};
+    const skipped = [];
+    const failures = [];
+
+    await withReason('promotion_start', async () => {
+      for (const promptId of promotion.prompt_ids) {
+        // Prompt déjà remisé par une tentative précédente de cette promotion
+        if (Object.hasOwn(promotion.list_prices || {}, promptId)) {
+          continue;
+        }
+
+        try {
+          const prompt = await this.api.getPrompt(promptId);
+
+          if (prompt.on_promotion) {
+            skipped.push(`${promptId}: déjà en promotion`);
+            continue;
+          }
+
+          const pricing = await this.promotionService.getPromotionPricing(prompt, promotion.discount_percentage);
+          if (!pricing) {
+            skipped.push(`${promptId}: remise de ${promotion.discount_percentage}% impossible aux paliers de prix`);
+            continue;
+          }
+
+          await this.promotionService.applyPromotionOverlay(prompt, pricing, new Date(promotion.end_time));
+          listPrices[promptId] = pricing.listPrice;
+        } catch (error) {
+          failures.push(`${promptId}: ${error.message}`);
+        }
+      }
+    }, { promotionId: promotion._id.toString() });
+
+    const discounted = { ...(promotion.list_prices || {}), ...listPrices };
+
+    // Un prompt déjà en promotion n'est pas une erreur à retenter : la promotion s'applique aux autres.
+    // Les prompts remisés sont conservés dans list_prices pour que la tentative suivante ou
+    // l'expiration les retrouve ; à la dernière tentative, ils sont rétablis.
+    if (failures.length > 0) {
+      if (promotion.attempts >= this.maxAttempts) {
+        const restoration = await this.restorePrompts(promotion, Object.keys(discounted), 'promotion_end');
+        restoration.restored.forEach(promptId => delete discounted[promptId]);
+        failures.push(...restoration.failures);
+      }
+
+      return this.fail(promotion, 'scheduled', failures, { list_prices: discounted });
+    }
+
+    await this.complete(promotion, 'active', {
+      activated_at: new Date(),
+      list_prices: discounted
+    });
+    await this.notify(promotion, 'activated', skipped);
+    return 'active';
+  }
+
+  /**
+   * Expire une promotion active et rétablit le prix catalogue de ses prompts
+   * Seuls les prompts remisés à l'activation (ceux de list_prices) sont rétablis : un prompt
+   * écarté parce qu'il était déjà en promotion relève d'une autre promotion.
+   * @param {Object} promotion - Promotion active
+   * @returns {Promise<string|false>} - Nouvel état (expired), false si la transition n'a pas abouti
+   */
+  async expire(promotion) {
+    const claimed = await this.claim(promotion, 'active', 'expiring');
+    if (!claimed) {
+      return false;
+    }
+
+    const { failures } = promotion.type === 'prompt'
+      ? await this.restorePrompts(promotion, Object.keys(promotion.list_prices || {}), 'promotion_end')
+      : { failures: [] };
+
+    if (failures.length > 0) {
+      return this.fail(promotion, 'active', failures);
+    }
+
+    await this.complete(promotion, 'expired', { expired_at: new Date() });
+    await this.notify(promotion, 'expired');
+    return 'expired';
+  }
+
+  /**
+   * Rétablit le prix catalogue de prompts remisés par une promotion
+   * @param {Object} promotion - Promotion
+   * @param {Array<string>} promptIds - Prompts à rétablir
+   * @param {string} reason - Raison des écritures
+   * @returns {Promise<Object>} - { restored, failures } : prompts rétablis et erreurs par prompt
+   */
+  async restorePrompts(promotion, promptIds, reason) {
+    const restored = [];
+    const failures = [];
+
+    await withReason(reason, async () => {
+      for (const promptId of promptIds) {
+        try {
+          await this.promotionService.removePromotionFromPrompt(promptId, { promotionId: promotion._id });
+          restored.push(promptId);
+        } catch (error) {
+          failures.push(`${promptId}: ${error.message}`);
+        }
+      }
+    }, { promotionId: promotion._id.toString() });
+
+    return { restored, failures };
+  }
+
+  /**
+   * Réserve une promotion pour une transition, pour éviter une double transition
+   * En simulation, rien n'est réservé : la transition est seulement consignée dans le plan.
+   * @param {Object} promotion - Promotion
+   * @param {string} from - État attendu
+   * @param {string} to - État transitoire
+   * @returns {Promise<boolean>} - true si la promotion a été réservée
+   */
+  async claim(promotion, from, to) {
+    if (isDryRun()) {
+      this.simulated.add(`${promotion._id}:${from === 'scheduled' ? 'activate' : 'expire'}`);
+      return true;
+    }
+
+    const claimed = await Promotion.findOneAndUpdate(
+      { _id: promotion._id, status: from },
+      { $set: { status: to }, $inc: { attempts: 1 } },
+      { new: true }
+    ).lean();
+
+    if (claimed) {
+      promotion.attempts = claimed.attempts;
+    }
+
+    return Boolean(claimed);
+  }
+
+  /**
+   * Termine une transition
+   * @param {Object} promotion - Promotion
+   * @param {string} status - Nouvel état
+   * @param {Object} fields - Champs mis à jour
+   * @returns {Promise<void>}
+   */
+  async complete(promotion, status, fields) {
+    if (isDryRun()) {
+      return;
+    }
+
+    await Promotion.updateOne(
+      { _id: promotion._id },
+      { $set: { ...fields, status, attempts: 0 }, $unset: { last_error: '' } }
+    );
+  }
+
+  /**
+   * Enregistre l'échec d'une transition : elle est retentée au prochain passage,
+   * jusqu'à maxAttempts tentatives
+   * @param {Object} promotion - Promotion
+   * @param {string} previousStatus - État à rétablir pour retenter la transition
+   * @param {Array<string>} failures - Erreurs par prompt
+   * @param {Object} [fields] - Champs mis à jour malgré l'échec (ex: list_prices des prompts déjà remisés)
+   * @returns {Promise<boolean>} - false
+   */
+  async fail(promotion, previousStatus, failures, fields = {}) {
+    const lastError = failures.join('; ');
+    const exhausted = promotion.attempts >= this.maxAttempts;
+
+    console.error(`Échec de la transition de la promotion ${promotion.name || promotion._id}: ${lastError}`);
+
+    if (!isDryRun()) {
+      await Promotion.updateOne(
+        { _id: promotion._id },
+        { $set: { ...fields, status: exhausted ? 'failed' : previousStatus, last_error: lastError } }
+      );
+    }
+
+    if (exhausted) {
+      await sendNotification({
+        type: 'error',
+        subject: `Promotion en échec: ${promotion.name || promotion._id}`,
+        message: `La promotion "${promotion.name || promotion._id}" n'a pas pu ${previousStatus === 'scheduled' ? 'être activée' : 'expirer'} après ${promotion.attempts} tentatives. Prompts concernés:\n${failures.map(failure => `- ${failure}`).join('\n')}`
+      });
+    }
+
+    return false;
+  }
+
+  /**
+   * Notifie une transition
+   * @param {Object} promotion - Promotion
+   * @param {string} transition - Transition (activated, expired, skipped)
+   * @param {Array<string>} [skippedPrompts] - Prompts laissés de côté
+   * @returns {Promise<void>}
+   */
+  async notify(promotion, transition, skippedPrompts = []) {
+    const name = promotion.name || promotion._id.toString();
+    const boundary = new Date(transition === 'activated' ? promotion.start_time : promotion.end_time);
+    const delay = Date.now() - boundary.getTime();
+    const lines = [];
+
+    switch (transition) {
+      case 'activated':
+        lines.push(`La promotion "${name}" (-${promotion.discount_percentage}%) est active jusqu'au ${new Date(promotion.end_time).toISOString()}.`);
+        break;
+      case 'expired':
+        lines.push(`La promotion "${name}" est terminée${promotion.type === 'prompt' ? ', les prix catalogue ont été rétablis' : ''}.`);
+        break;
+      default:
+        lines.push(`La promotion "${name}" s'est terminée le ${boundary.toISOString()} sans avoir été activée : le système était arrêté pendant toute sa durée.`);
+    }
+
+    if (transition !== 'skipped' && delay > CATCH_UP_DELAY) {
+      lines.push(`Transition rattrapée avec ${Math.round(delay / 60000)} minute(s) de retard (échéance: ${boundary.toISOString()}).`);
+    }
+
+    if (skippedPrompts.length > 0) {
+      lines.push(`Prompts non remisés:\n${skippedPrompts.map(prompt => `- ${prompt}`).join('\n')}`);
+    }
+
+    if (isDryRun()) {
+      console.log(`[SIMULATION] ${lines[0]}`);
+      return;
+    }
+
+    await sendNotification({
+      type: transition === 'skipped' ? 'warning' : 'info',
+      subject: `Promotion ${{ activated: 'activée', expired: 'expirée', skipped: 'manquée' }[transition]}: ${name}`,
+      message: lines.join('\n'),
+      attachment: {
+        promotion_id: promotion._id,
+        type: promotion.type,
+        prompt_ids: promotion.prompt_ids,
+        start_time: promotion.start_time,
+        end_time: promotion.end_time
+      }
+    });
+  }
+}
+
+module.exports = PromotionLifecycle;
@@ -5,16 +5,29 @@
  */
 
 const { sendNotification } = require('../utils/notifications');
+const { Promotion, Bundle, recordSafely } = require('../database');
+const { isDryRun, withReason } = require('../utils/job-context');
+const PriceHistory = require('./price-history');
+const PromotionCalendar = require('./promotion-calendar');
+const { applyDiscount, applyBundlePricing, roundToCents } = require('../utils/pricing-policy');
 
 class PromotionService {
   /**
    * Initialise le service de promotion
    * @param {Object} api - Instance de l'API SnackPrompt
    * @param {Object} analyticsService - Service d'analytics
+   * @param {Object} [approvalService] - Service d'approbation des actions à fort impact
    */
-  constructor(api, analyticsService) {
+  constructor(api, analyticsService, approvalService) {
     this.api = api;
     this.analyticsService = analyticsService;
+    this.approvalService = approvalService;
+    this.priceHistory = new PriceHistory(api);
+    this.promotionCalendar = new PromotionCalendar(api);
+    
+    if (approvalService) {
+      approvalService.register('event_promotion', details => this.createEventPromotion(details));
+    }
     
     // Paramètres de promotion
     this.promotionParams = {
@@ -51,35 +64,62 @@ class PromotionService {
       // Récupérer tous les prompts
       const allPrompts = await this.api.getPrompts();
       
+      // Récupérer les promotions déjà programmées ou en cours pour éviter les doublons
+      const existingPromotions = await this.getCurrentPromotions();
+      
+      // Calendrier des occupations des prompts (promotions, tests A/B, bundles)
+      const calendar = await this.promotionCalendar.load();
+      
       // Créer des promotions pour les périodes de faible activité
       const createdPromotions = [];
       
       for (const period of lowActivityPeriods.slice(0, 3)) { // Limiter à 3 promotions
         try {
-          // Sélectionner des prompts pour cette promotion
-          const selectedPrompts = this.selectPromptsForPromotion(allPrompts, 3);
+          // Calculer la prochaine occurrence de cette période
+          const nextOccurrence = this.getNextOccurrence(period.day, period.hour);
+          const window = {
+            start_time: nextOccurrence.toISOString(),
+            end_time: new Date(nextOccurrence.getTime() + 3 * 60 * 60 * 1000).toISOString() // 3 heures
+          };
+          
+          // Sélectionner des prompts libres sur cette période
+          const { prompt_ids: freePromptIds } = this.promotionCalendar.resolve(
+            { kind: 'flash_sale', prompt_ids: allPrompts.map(p => p.id), ...window },
+            calendar
+          );
+          const selectedPrompts = this.selectPromptsForPromotion(allPrompts.filter(p => freePromptIds.includes(p.id)), 3);
           
           if (selectedPrompts.length === 0) {
             console.log(`Pas de prompts disponibles pour la promotion ${period.day} à ${period.hour}h`);
             continue;
           }
           
-          // Calculer la prochaine occurrence de cette période
-          const nextOccurrence = this.getNextOccurrence(period.day, period.hour);
-          
           // Créer la promotion
           const promotion = {
             name: `Flash Sale ${period.day} ${period.hour}h`,
             prompt_ids: selectedPrompts.map(p => p.id),
             discount_percentage: this.promotionParams.flashDiscount,
-            start_time: nextOccurrence.toISOString(),
-            end_time: new Date(nextOccurrence.getTime() + 3 * 60 * 60 * 1000).toISOString(), // 3 heures
+            ...window,
             description: `Limited-time ${this.promotionParams.flashDiscount}% discount on selected prompts`
           };
           
+          const duplicate = this.findDuplicatePromotion(promotion, existingPromotions);
+          if (duplicate) {
+            console.log(`Promotion "${promotion.name}" déjà programmée (${duplicate.id}), ignorée`);
+            continue;
+          }
+          
+          const resolution = this.promotionCalendar.resolve({ kind: 'flash_sale', ...promotion }, calendar);
+          
           // Enregistrer la promotion
           const createdPromotion = await this.api.schedulePromotion(promotion);
+          
+          // Une fois la promotion programmée, retirer ses prompts des promotions moins prioritaires
+          await this.promotionCalendar.displace(resolution, calendar);
           createdPromotions.push(createdPromotion);
+          existingPromotions.push({ ...promotion, id: createdPromotion.id });
+          this.promotionCalendar.add(calendar, { kind: 'flash_sale', id: createdPromotion.id, ...promotion });
+          await this.recordScheduledPromotion(createdPromotion, promotion, 'flash_sale');
           
           console.log(`Promotion flash programmée pour ${period.day} à ${period.hour}h sur ${selectedPrompts.length} prompts`);
         } catch (error) {
@@ -94,7 +134,15 @@ class PromotionService {
           // Sélectionner des prompts pour cet événement spécial (tous les prompts disponibles)
           const selectedPrompts = this.selectPromptsForPromotion(allPrompts, allPrompts.length);
           
-          if (selectedPrompts.length === 0) {
+          // Écarter les prompts occupés par une activité prioritaire (test A/B, remise en cours...)
+          const { prompt_ids: eventPromptIds } = this.promotionCalendar.resolve({
+            kind: 'special_event',
+            prompt_ids: selectedPrompts.map(p => p.id),
+            start_time: event.startDate,
+            end_time: event.endDate
+          }, calendar);
+          
+          if (eventPromptIds.length === 0) {
             console.log(`Pas de prompts disponibles pour l'événement ${event.name}`);
             continue;
           }
@@ -102,16 +150,30 @@ class PromotionService {
           // Créer la promotion pour l'événement spécial
           const promotion = {
             name: event.name,
-            prompt_ids: selectedPrompts.map(p => p.id),
+            prompt_ids: eventPromptIds,
             discount_percentage: this.promotionParams.specialEventDiscount,
             start_time: event.startDate.toISOString(),
             end_time: event.endDate.toISOString(),
             description: `${event.name}: ${this.promotionParams.specialEventDiscount}% off everything!`
           };
           
-          // Enregistrer la promotion
-          const createdPromotion = await this.api.schedulePromotion(promotion);
+          // Les événements spéciaux sont détectés 14 jours à l'avance : ils ont pu être programmés la semaine précédente
+          const duplicate = this.findDuplicatePromotion(promotion, existingPromotions);
+          if (duplicate) {
+            console.log(`Promotion spéciale "${event.name}" déjà programmée (${duplicate.id}), ignorée`);
+            continue;
+          }
+          
+          // Une promotion sur tout le catalogue peut nécessiter une approbation
+          const createdPromotion = await this.submitEventPromotion(event, promotion);
+          if (!createdPromotion) {
+            console.log(`Promotion spéciale "${event.name}" en attente d'approbation`);
+            continue;
+          }
+          
           createdPromotions.push(createdPromotion);
+          existingPromotions.push({ ...promotion, id: createdPromotion.id });
+          this.promotionCalendar.add(calendar, { kind: 'special_event', id: createdPromotion.id, ...promotion, prompt_ids: createdPromotion.prompt_ids || promotion.prompt_ids });
           
           console.log(`Promotion spéciale "${event.name}" programmée du ${event.startDate.toISOString()} au ${event.endDate.toISOString()}`);
         } catch (error) {
@@ -143,6 +205,101 @@ class PromotionService {
     }
   }
 
+  /**
+   * Programme la promotion d'un événement spécial, après approbation si elle dépasse le seuil
+   * @param {Object} event - Événement spécial
+   * @param {Object} promotion - Données de la promotion
+   * @returns {Promise<Object|null>} - Promotion créée, ou null si elle attend une approbation
+   */
+  async submitEventPromotion(event, promotion) {
+    const details = { promotion };
+    
+    if (!this.approvalService) {
+      return this.createEventPromotion(details);
+    }
+    
+    const outcome = await this.approvalService.submit('event_promotion', {
+      targetId: `${event.name}:${promotion.start_time}`,
+      summary: `Promotion "${event.name}" de ${promotion.discount_percentage}% sur ${promotion.prompt_ids.length} prompts du ${promotion.start_time} au ${promotion.end_time}`,
+      details
+    });
+    
+    return outcome.status === 'executed' ? outcome.result : null;
+  }
+
+  /**
+   * Programme la promotion d'un événement spécial sur la plateforme
+   * Les chevauchements sont résolus à nouveau : le calendrier a pu changer depuis la proposition.
+   * @param {Object} details - Promotion à programmer ({ promotion })
+   * @returns {Promise<Object>} - Promotion créée
+   */
+  async createEventPromotion({ promotion }) {
+    const reservation = await this.promotionCalendar.reserve({ kind: 'special_event', ...promotion });
+    
+    if (reservation.prompt_ids.length === 0) {
+      throw new Error(`Aucun prompt disponible pour la promotion "${promotion.name}"`);
+    }
+    
+    const scheduledPromotion = { ...promotion, prompt_ids: reservation.prompt_ids };
+    const createdPromotion = await withReason('special_event', () => this.api.schedulePromotion(scheduledPromotion));
+    await this.promotionCalendar.confirm(reservation);
+    await this.recordScheduledPromotion(createdPromotion, scheduledPromotion, 'special_event');
+    return createdPromotion;
+  }
+
+  /**
+   * Enregistre localement une promotion programmée sur la plateforme
+   * @param {Object} createdPromotion - Promotion renvoyée par l'API
+   * @param {Object} promotion - Données envoyées à l'API
+   * @param {string} type - Type de promotion (flash_sale, special_event)
+   * @returns {Promise<Object|null>} - Promotion enregistrée
+   */
+  async recordScheduledPromotion(createdPromotion, promotion, type) {
+    return recordSafely(Promotion, {
+      promotion_id: createdPromotion.id,
+      type,
+      name: promotion.name,
+      description: promotion.description,
+      prompt_ids: promotion.prompt_ids,
+      discount_percentage: promotion.discount_percentage,
+      start_time: promotion.start_time,
+      end_time: promotion.end_time,
+      status: 'scheduled',
+      source: 'promotion-service'
+    });
+  }
+
+  /**
+   * Récupère les promotions programmées et en cours sur la plateforme
+   * @returns {Promise<Array>} - Promotions programmées et actives
+   */
+  async getCurrentPromotions() {
+    const [scheduled, active] = await Promise.all([
+      this.api.getPromotions({ status: 'scheduled' }),
+      this.api.getPromotions({ status: 'active' })
+    ]);
+    
+    return [...scheduled, ...active];
+  }
+
+  /**
+   * Recherche une promotion existante identique à une promotion à programmer
+   * Deux promotions sont identiques si elles portent le même nom et que leurs périodes se chevauchent.
+   * @param {Object} promotion - Promotion à programmer
+   * @param {Array} existingPromotions - Promotions programmées ou en cours
+   * @returns {Object|null} - Promotion existante identique
+   */
+  findDuplicatePromotion(promotion, existingPromotions) {
+    const start = new Date(promotion.start_time).getTime();
+    const end = new Date(promotion.end_time).getTime();
+    
+    return existingPromotions.find(existing =>
+      existing.name === promotion.name &&
+      new Date(existing.start_time).getTime() < end &&
+      new Date(existing.end_time).getTime() > start
+    ) || null;
+  }
+
   /**
    * Trouve les périodes de faible activité
    * @param {Array} analytics - Données d'analytics horaires
@@ -309,10 +466,10 @@ class PromotionService {
       );
       
       // Calculer le prix original (somme des prix individuels)
-      const originalPrice = prompts.reduce((sum, prompt) => sum + prompt.price, 0);
+      const originalPrice = roundToCents(prompts.reduce((sum, prompt) => sum + prompt.price, 0));
       
       // Calculer le prix du bundle avec la remise
-      const bundlePrice = Math.round(originalPrice * (1 - this.promotionParams.bundleDiscount / 100));
+      const bundlePrice = applyBundlePricing(originalPrice * (1 - this.promotionParams.bundleDiscount / 100));
       
       // Créer le bundle
       const bundleData = {
@@ -324,6 +481,7 @@ class PromotionService {
       };
       
       const createdBundle = await this.api.createBundle(bundleData);
+      await recordSafely(Bundle, { bundle_id: createdBundle.id, ...bundleData });
       
       console.log(`Bundle "${createdBundle.name}" créé avec succès`);
       
@@ -334,6 +492,59 @@ class PromotionService {
     }
   }
 
+  /**
+   * Recalcule le prix des bundles à partir du prix actuel de leurs prompts
+   * @returns {Promise<Array>} - Bundles dont le prix a été ajusté
+   */
+  async repriceBundles() {
+    try {
+      console.log('Recalcul du prix des bundles...');
+      
+      const bundles = await this.api.getBundles();
+      const repricedBundles = [];
+      
+      for (const bundle of bundles) {
+        try {
+          // Le détail du bundle contient le prix actuel de chaque prompt
+          const details = await this.api.getBundle(bundle.id);
+          const prompts = details.prompts || [];
+          
+          if (prompts.length === 0) {
+            continue;
+          }
+          
+          const originalPrice = roundToCents(prompts.reduce((sum, prompt) => sum + prompt.price, 0));
+          const bundlePrice = applyBundlePricing(originalPrice * (1 - this.promotionParams.bundleDiscount / 100));
+          
+          if (bundlePrice === details.price && originalPrice === details.original_price) {
+            continue;
+          }
+          
+          await this.api.updateBundle(bundle.id, { price: bundlePrice, original_price: originalPrice });
+          
+          if (!isDryRun()) {
+            await Bundle.updateOne(
+              { bundle_id: bundle.id },
+              { $set: { price: bundlePrice, original_price: originalPrice } }
+            ).catch(error => console.error(`Erreur lors de la mise à jour locale du bundle ${bundle.id}:`, error.message));
+          }
+          
+          console.log(`Prix du bundle ${bundle.id} ajusté de ${details.price}€ à ${bundlePrice}€`);
+          repricedBundles.push({ id: bundle.id, oldPrice: details.price, newPrice: bundlePrice, originalPrice });
+        } catch (error) {
+          console.error(`Erreur lors du recalcul du prix du bundle ${bundle.id}:`, error.message);
+        }
+      }
+      
+      console.log(`${repricedBundles.length} bundles ajustés`);
+      
+      return repricedBundles;
+    } catch (error) {
+      console.error('Erreur lors du recalcul du prix des bundles:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Crée des bundles de prompts par catégorie
    * @returns {Promise<Array>} - Liste des bundles créés
@@ -420,24 +631,46 @@ class PromotionService {
       // Limiter la remise
       const actualDiscount = Math.min(discountPercentage, 50); // Maximum 50% de remise
       
-      // Calculer le prix en promotion
-      const promotionPrice = Math.round(prompt.price * (1 - actualDiscount / 100));
-      
       // Limiter la durée
       const actualDuration = Math.min(durationHours, this.promotionParams.maxPromotionDuration);
       
       // Calculer la date de fin
       const endDate = new Date(Date.now() + actualDuration * 60 * 60 * 1000);
       
-      // Mettre à jour le prompt
-      const updatedPrompt = await this.api.updatePrompt(promptId, {
-        price: promotionPrice,
-        on_promotion: true,
-        promotion_percentage: actualDiscount,
-        promotion_end_date: endDate.toISOString()
+      // Les paliers de prix peuvent fausser la remise : ne rien réserver si elle est refusée
+      const pricing = await this.getPromotionPricing(prompt, actualDiscount);
+      if (!pricing) {
+        return prompt;
+      }
+      
+      // Ne pas remiser un prompt en test A/B ou déjà concerné par une promotion prioritaire
+      const reservation = await this.promotionCalendar.reserve({
+        kind: 'prompt',
+        name: `Promotion ${promptId}`,
+        prompt_ids: [promptId],
+        start_time: new Date(),
+        end_time: endDate
+      });
+      if (reservation.prompt_ids.length === 0) {
+        return prompt;
+      }
+      
+      const updatedPrompt = await this.applyPromotionOverlay(prompt, pricing, endDate);
+      await this.promotionCalendar.confirm(reservation);
+      
+      await recordSafely(Promotion, {
+        type: 'prompt',
+        name: `Promotion ${promptId}`,
+        prompt_ids: [promptId],
+        discount_percentage: pricing.discountPercentage,
+        list_prices: { [promptId]: pricing.listPrice },
+        start_time: new Date(),
+        end_time: endDate,
+        status: 'active',
+        source: 'promotion-service'
       });
       
-      console.log(`Promotion de ${actualDiscount}% appliquée au prompt ${promptId} jusqu'au ${endDate.toISOString()}`);
+      console.log(`Promotion de ${pricing.discountPercentage}% appliquée au prompt ${promptId} jusqu'au ${endDate.toISOString()}`);
       
       return updatedPrompt;
     } catch (error) {
@@ -446,12 +679,57 @@ class PromotionService {
     }
   }
 
+  /**
+   * Calcule le prix en promotion d'un prompt à partir de son prix catalogue
+   * @param {Object} prompt - Prompt renvoyé par l'API (hors promotion)
+   * @param {number} discountPercentage - Pourcentage de remise demandé
+   * @returns {Promise<Object|null>} - { listPrice, price, discountPercentage } avec la remise réellement
+   * obtenue, ou null si la politique de prix la fausse au-delà de la tolérance
+   */
+  async getPromotionPricing(prompt, discountPercentage) {
+    const listPrice = await this.priceHistory.getListPrice(prompt);
+    const discount = applyDiscount(listPrice, discountPercentage, { category: prompt.category });
+    
+    if (!discount) {
+      console.log(`Remise de ${discountPercentage}% refusée pour le prompt ${prompt.id}: les paliers de prix ne permettent pas de l'appliquer à ${listPrice}€`);
+      return null;
+    }
+    
+    return { listPrice, ...discount };
+  }
+
+  /**
+   * Remise le prix catalogue d'un prompt jusqu'à la fin d'une promotion
+   * Le prix catalogue est conservé pour être rétabli tel quel au retrait de la promotion.
+   * @param {Object} prompt - Prompt renvoyé par l'API (hors promotion)
+   * @param {Object} pricing - Prix en promotion (voir getPromotionPricing)
+   * @param {Date} endDate - Fin de la promotion
+   * @returns {Promise<Object>} - Prompt mis à jour
+   */
+  async applyPromotionOverlay(prompt, pricing, endDate) {
+    await this.priceHistory.setListPrice(prompt.id, pricing.listPrice);
+    
+    const updatedPrompt = await this.api.updatePrompt(prompt.id, {
+      price: pricing.price,
+      on_promotion: true,
+      promotion_percentage: pricing.discountPercentage,
+      promotion_end_date: endDate.toISOString()
+    });
+    
+    await this.priceHistory.record(prompt.id, prompt.price, pricing.price, 'apply_promotion', 'promotion-service');
+    
+    return updatedPrompt;
+  }
+
   /**
    * Retire une promotion d'un prompt
    * @param {string} promptId - ID du prompt
+   * @param {Object} [options] - Options
+   * @param {string} [options.promotionId] - Promotion locale retirée : seule celle-ci est marquée expirée,
+   * à défaut toutes les promotions actives du prompt le sont
    * @returns {Promise<Object>} - Prompt mis à jour
    */
-  async removePromotionFromPrompt(promptId) {
+  async removePromotionFromPrompt(promptId, options = {}) {
     try {
       // Récupérer les détails du prompt
       const prompt = await this.api.getPrompt(promptId);
@@ -462,8 +740,8 @@ class PromotionService {
         return prompt;
       }
       
-      // Calculer le prix normal (sans promotion)
-      const normalPrice = Math.round(prompt.price / (1 - prompt.promotion_percentage / 100));
+      // Rétablir le prix catalogue conservé à l'application de la promotion
+      const normalPrice = await this.priceHistory.getListPrice(prompt);
       
       // Mettre à jour le prompt
       const updatedPrompt = await this.api.updatePrompt(promptId, {
@@ -473,6 +751,18 @@ class PromotionService {
         promotion_end_date: null
       });
       
+      await this.priceHistory.record(promptId, prompt.price, normalPrice, 'remove_promotion', 'promotion-service');
+      if (!isDryRun()) {
+        const filter = options.promotionId
+          ? { _id: options.promotionId, status: 'active' }
+          : { type: 'prompt', prompt_ids: promptId, status: 'active' };
+        
+        await Promotion.updateMany(
+          filter,
+          { $set: { status: 'expired', end_time: new Date() } }
+        ).catch(error => console.error(`Erreur lors de la mise à jour locale des promotions du prompt ${promptId}:`, error.message));
+      }
+      
       console.log(`Promotion retirée du prompt ${promptId}, prix ajusté de ${prompt.price}€ à ${normalPrice}€`);
       
       return updatedPrompt;
@@ -8,6 +8,9 @@ const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { generatePromptImage } = require('../utils/image-generator');
 const { formatForAPI } = require('../utils/formatters');
 const { sendNotification } = require('../utils/notifications');
+const { storePromptVariations } = require('./variation-storage');
+const { Prompt } = require('../database');
+const { isDryRun } = require('../utils/job-context');
 
 class PromptGenerator {
   /**
@@ -96,19 +99,21 @@ class PromptGenerator {
           // Publier le prompt
           const publishedPrompt = await this.api.createPrompt(apiData);
           
-          // Stocker les variations pour les tests A/B futurs
-          if (newPromptData.variations) {
-            await this.storePromptVariations(publishedPrompt.id, newPromptData.variations);
+          // En simulation, le prompt n'est pas publié : rien à conserver localement
+          if (!isDryRun()) {
+            // Stocker le prompt publié dans le miroir local
+            await Prompt.upsertFromPlatform(publishedPrompt, { source: 'generated', published_at: new Date() })
+              .catch(error => console.error(`Erreur lors de l'enregistrement local du prompt ${publishedPrompt.id}:`, error.message));
+            
+            // Stocker les variations pour les tests A/B futurs
+            if (newPromptData.variations) {
+              await this.storePromptVariations(publishedPrompt.id, newPromptData.variations);
+            }
           }
           
           generatedPrompts.push(publishedPrompt);
           
           console.log(`Prompt généré et publié avec succès: ${publishedPrompt.id}`);
-          
-          // Attendre 30 secondes entre chaque publication pour éviter les rate limits
-          if (generatedPrompts.length < selectedNiches.length) {
-            await new Promise(resolve => setTimeout(resolve, 30000));
-          }
         } catch (error) {
           console.error(`Erreur lors de la génération du prompt pour la niche ${niche.name}:`, error.message);
         }
@@ -340,9 +345,7 @@ Format the response as a professional report with clear sections, bullet points
    */
   async storePromptVariations(promptId, variations) {
     try {
-      // Dans une implémentation réelle, on stockerait cela dans une base de données
-      // Pour ce prototype, nous simulons le stockage
-      console.log(`Variations stockées pour le prompt ${promptId}:`, JSON.stringify(variations));
+      await storePromptVariations(promptId, variations);
     } catch (error) {
       console.error(`Erreur lors du stockage des variations pour le prompt ${promptId}:`, error.message);
     }
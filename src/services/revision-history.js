@@ -0,0 +1,186 @@
+/**
+ * Historique des révisions
+ * -------------------------------------------------
+ * Versionne le contenu publié de chaque prompt (titre, description, texte,
+ * tags, prix, image) à chaque écriture sur SnackPrompt, pour comparer les
+ * révisions et retrouver celle qui était en ligne sur une période de ventes
+ */
+
+const { PromptRevision, ABTest } = require('../database');
+const { getJobContext, isDryRun, diffObjects } = require('../utils/job-context');
+
+// Champs versionnés d'un prompt
+const CONTENT_FIELDS = ['title', 'description', 'prompt_text', 'tags', 'price', 'image_url'];
+
+class RevisionHistory {
+  /**
+   * Enregistre une nouvelle révision si le contenu d'un prompt a changé
+   * Pour un prompt sans historique, l'état précédant l'écriture devient la révision 1.
+   * @param {Object} prompt - Prompt après l'écriture
+   * @param {Object} [options] - Options
+   * @param {Object} [options.before] - Prompt avant l'écriture
+   * @returns {Promise<Object|null>} - Révision en ligne, ou null en simulation ou en cas d'erreur
+   */
+  async recordRevision(prompt, options = {}) {
+    if (isDryRun()) {
+      return null;
+    }
+
+    try {
+      const now = new Date();
+      let latest = await PromptRevision.findOne({ prompt_id: prompt.id }).sort({ revision: -1 }).lean();
+
+      if (!latest && options.before) {
+        latest = await PromptRevision.create({
+          prompt_id: prompt.id,
+          revision: 1,
+          ...this.extractContent(options.before),
+          changed_fields: [],
+          live_from: new Date(options.before.updated_at || options.before.created_at || now),
+          reason: 'baseline'
+        });
+      }
+
+      const content = this.extractContent({ ...(options.before || {}), ...prompt });
+      const changedFields = Object.keys(diffObjects(latest ? this.extractContent(latest) : {}, content));
+
+      if (latest && changedFields.length === 0) {
+        return latest;
+      }
+
+      const context = getJobContext() || {};
+      const metadata = context.metadata || {};
+
+      const revision = await PromptRevision.create({
+        prompt_id: prompt.id,
+        revision: latest ? latest.revision + 1 : 1,
+        ...content,
+        changed_fields: changedFields,
+        live_from: now,
+        job: context.job || undefined,
+        run_id: context.runId || undefined,
+        reason: context.reason,
+        variation_index: metadata.variationIndex,
+        ab_test_id: metadata.abTestId
+      });
+
+      if (latest) {
+        await PromptRevision.updateOne({ _id: latest._id }, { $set: { live_until: now } });
+      }
+
+      return revision.toObject();
+    } catch (error) {
+      console.error(`Erreur lors de l'enregistrement de la révision du prompt ${prompt.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Rattache à un test A/B la révision qui publie sa variante
+   * @param {string} promptId - ID du prompt
+   * @param {number} variationIndex - Index de la variante testée
+   * @param {string} abTestId - ID du test A/B
+   * @returns {Promise<Object|null>} - Révision rattachée
+   */
+  async linkABTest(promptId, variationIndex, abTestId) {
+    return PromptRevision.findOneAndUpdate(
+      { prompt_id: promptId, variation_index: variationIndex, ab_test_id: null },
+      { $set: { ab_test_id: abTestId } },
+      { sort: { revision: -1 }, new: true }
+    ).lean();
+  }
+
+  /**
+   * Retrouve le dernier test A/B d'une variante
+   * @param {string} promptId - ID du prompt
+   * @param {number} variationIndex - Index de la variante
+   * @returns {Promise<string|undefined>} - ID du test
+   */
+  async findABTestId(promptId, variationIndex) {
+    const test = await ABTest.findOne({ prompt_id: promptId, variation_index: variationIndex })
+      .sort({ started_at: -1 })
+      .select('_id')
+      .lean();
+
+    return test ? test._id : undefined;
+  }
+
+  /**
+   * Extrait les champs versionnés d'un prompt
+   * @param {Object} prompt - Prompt de la plateforme ou révision
+   * @returns {Object} - Contenu versionné
+   */
+  extractContent(prompt) {
+    const content = {};
+
+    for (const field of CONTENT_FIELDS) {
+      const value = field === 'prompt_text' ? (prompt.prompt_text || prompt.content) : prompt[field];
+      if (value !== undefined && value !== null) {
+        content[field] = value;
+      }
+    }
+
+    return content;
+  }
+
+  /**
+   * Liste les révisions d'un prompt
+   * @param {string} promptId - ID du prompt
+   * @returns {Promise<Array>} - Révisions, de la plus récente à la plus ancienne
+   */
+  async listRevisions(promptId) {
+    return PromptRevision.find({ prompt_id: promptId }).sort({ revision: -1 }).lean();
+  }
+
+  /**
+   * Récupère une révision d'un prompt
+   * @param {string} promptId - ID du prompt
+   * @param {number} revision - Numéro de révision
+   * @returns {Promise<Object|null>} - Révision
+   */
+  async getRevision(promptId, revision) {
+    return PromptRevision.findOne({ prompt_id: promptId, revision }).lean();
+  }
+
+  /**
+   * Compare deux révisions d'un prompt
+   * @param {string} promptId - ID du prompt
+   * @param {number} from - Révision de départ
+   * @param {number} to - Révision d'arrivée
+   * @returns {Promise<Object|null>} - { from, to, changes }, ou null si une révision n'existe pas
+   */
+  async diffRevisions(promptId, from, to) {
+    const [fromRevision, toRevision] = await Promise.all([
+      this.getRevision(promptId, from),
+      this.getRevision(promptId, to)
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return null;
+    }
+
+    return {
+      prompt_id: promptId,
+      from,
+      to,
+      changes: diffObjects(this.extractContent(fromRevision), this.extractContent(toRevision))
+    };
+  }
+
+  /**
+   * Liste les révisions en ligne pendant une période (par exemple une fenêtre de ventes)
+   * @param {string} promptId - ID du prompt
+   * @param {Date} start - Début de la période
+   * @param {Date} [end] - Fin de la période (défaut: début, pour un instant précis)
+   * @returns {Promise<Array>} - Révisions, dans l'ordre chronologique
+   */
+  async getLiveRevisions(promptId, start, end = start) {
+    return PromptRevision.find({
+      prompt_id: promptId,
+      live_from: { $lte: end },
+      $or: [{ live_until: null }, { live_until: { $gt: start } }]
+    }).sort({ revision: 1 }).lean();
+  }
+}
+
+module.exports = RevisionHistory;
@@ -0,0 +1,230 @@
+/**
+ * Service de retour arrière
+ * -------------------------------------------------
+ * Restaure le titre, la description, le prix ou l'état de promotion d'un
+ * prompt à partir des états avant/après conservés par le journal d'audit,
+ * pour une écriture isolée ou pour toute une exécution de job
+ */
+
+const { Promotion } = require('../database');
+const { runJob, withReason, isDryRun } = require('../utils/job-context');
+const PriceHistory = require('./price-history');
+
+// Champs d'un prompt modifiés par les automatisations et restaurables
+const RESTORABLE_FIELDS = ['title', 'description', 'price', 'on_promotion', 'promotion_percentage', 'promotion_end_date'];
+
+class RollbackService {
+  /**
+   * Initialise le service de retour arrière
+   * @param {Object} api - Instance de l'API SnackPrompt
+   * @param {Object} auditLog - Journal d'audit des écritures
+   */
+  constructor(api, auditLog) {
+    this.api = api;
+    this.auditLog = auditLog;
+    this.priceHistory = new PriceHistory(api);
+  }
+
+  /**
+   * Restaure un prompt dans l'état qui précédait une écriture du journal
+   * Seuls les champs modifiés par cette écriture reprennent leur valeur d'alors : les autres
+   * champs conservent les modifications faites depuis.
+   * @param {string} entryId - ID de l'entrée d'audit
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.dryRun] - Simule le retour arrière et renvoie son plan
+   * @returns {Promise<Object|null>} - { rolled_back, skipped }, ou null si l'entrée n'existe pas
+   */
+  async rollbackEntry(entryId, options = {}) {
+    const entry = await this.auditLog.getEntry(entryId);
+
+    if (!entry) {
+      return null;
+    }
+
+    const unrestorable = this.getUnrestorableReason(entry);
+    if (unrestorable) {
+      return { rolled_back: [], skipped: [{ entry_id: entry._id, prompt_id: entry.resource_id, reason: unrestorable }] };
+    }
+
+    const target = this.pickFields(entry.before, this.getChangedFields(entry));
+
+    return runJob('rollback', async () => this.collect([
+      await this.restorePrompt(entry.resource_id, target, `rollback:${entry._id}`)
+    ]), { dryRun: options.dryRun });
+  }
+
+  /**
+   * Annule les modifications de prompts effectuées par une exécution de job
+   * Chaque prompt retrouve, pour les champs modifiés par l'exécution, son état d'avant l'exécution.
+   * @param {string} correlationId - Identifiant de corrélation de l'exécution
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.dryRun] - Simule le retour arrière et renvoie son plan
+   * @returns {Promise<Object|null>} - { rolled_back, skipped }, ou null si l'exécution n'a rien écrit
+   */
+  async rollbackRun(correlationId, options = {}) {
+    const entries = await this.auditLog.getRunEntries(correlationId);
+
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const skipped = [];
+    const targets = new Map(); // Map des états à restaurer (ID du prompt -> champs)
+
+    for (const entry of entries) {
+      const unrestorable = this.getUnrestorableReason(entry);
+      if (unrestorable) {
+        skipped.push({ entry_id: entry._id, prompt_id: entry.resource_id, reason: unrestorable });
+        continue;
+      }
+
+      // La première écriture sur un champ porte sa valeur d'avant l'exécution
+      const target = targets.get(entry.resource_id) || {};
+      for (const field of this.getChangedFields(entry)) {
+        if (!(field in target) && field in entry.before) {
+          target[field] = entry.before[field];
+        }
+      }
+      targets.set(entry.resource_id, target);
+    }
+
+    const result = await runJob('rollback', async () => {
+      const outcomes = [];
+
+      for (const [promptId, target] of targets) {
+        outcomes.push(await this.restorePrompt(promptId, target, `rollback-run:${correlationId}`));
+      }
+
+      return this.collect(outcomes);
+    }, { dryRun: options.dryRun });
+
+    const outcome = result.dry_run ? result.result : result;
+    outcome.skipped.push(...skipped);
+
+    return result;
+  }
+
+  /**
+   * Indique pourquoi une écriture ne peut pas être annulée
+   * @param {Object} entry - Entrée d'audit
+   * @returns {string|null} - Raison, ou null si l'écriture est restaurable
+   */
+  getUnrestorableReason(entry) {
+    if (entry.resource_type !== 'prompts' || !entry.resource_id || entry.action) {
+      return 'Seules les modifications de prompts peuvent être annulées';
+    }
+
+    if (entry.method === 'DELETE') {
+      return 'Un prompt supprimé ne peut pas être restauré';
+    }
+
+    if (entry.outcome !== 'succeeded') {
+      return 'L\'écriture a échoué, rien à annuler';
+    }
+
+    if (!entry.before) {
+      return 'État précédent non enregistré';
+    }
+
+    return null;
+  }
+
+  /**
+   * Liste les champs restaurables modifiés par une écriture
+   * @param {Object} entry - Entrée d'audit
+   * @returns {Array<string>} - Champs modifiés
+   */
+  getChangedFields(entry) {
+    const after = entry.after || {};
+
+    return RESTORABLE_FIELDS.filter(field =>
+      JSON.stringify(entry.before[field]) !== JSON.stringify(after[field])
+    );
+  }
+
+  /**
+   * Extrait des champs d'un objet
+   * @param {Object} source - Objet source
+   * @param {Array<string>} fields - Champs à extraire
+   * @returns {Object} - Champs présents dans la source
+   */
+  pickFields(source, fields) {
+    return fields.reduce((picked, field) => {
+      if (field in source) {
+        picked[field] = source[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Restaure les champs d'un prompt qui diffèrent de l'état cible
+   * @param {string} promptId - ID du prompt
+   * @param {Object} target - État cible des champs à restaurer
+   * @param {string} reason - Raison journalisée
+   * @returns {Promise<Object>} - { prompt_id, restored } ou { prompt_id, skipped }
+   */
+  async restorePrompt(promptId, target, reason) {
+    try {
+      const current = await this.api.getPrompt(promptId);
+
+      const update = {};
+      for (const [field, value] of Object.entries(target)) {
+        if (JSON.stringify(current[field]) !== JSON.stringify(value)) {
+          update[field] = value;
+        }
+      }
+
+      if (Object.keys(update).length === 0) {
+        return { prompt_id: promptId, skipped: 'Le prompt est déjà dans cet état' };
+      }
+
+      await withReason(reason, () => this.api.updatePrompt(promptId, update));
+
+      if ('price' in update) {
+        await this.priceHistory.record(promptId, current.price, update.price, 'rollback', 'rollback-service');
+
+        // Hors promotion, le prix restauré redevient le prix catalogue
+        const onPromotion = 'on_promotion' in update ? update.on_promotion : current.on_promotion;
+        if (!onPromotion) {
+          await this.priceHistory.setListPrice(promptId, update.price);
+        }
+      }
+
+      // La promotion retirée par le retour arrière ne doit plus apparaître comme active
+      if (update.on_promotion === false && !isDryRun()) {
+        await Promotion.updateMany(
+          { type: 'prompt', prompt_ids: promptId, status: 'active' },
+          { $set: { status: 'expired', end_time: new Date() } }
+        ).catch(error => console.error(`Erreur lors de la mise à jour locale des promotions du prompt ${promptId}:`, error.message));
+      }
+
+      const restored = Object.fromEntries(
+        Object.entries(update).map(([field, value]) => [field, { from: current[field], to: value }])
+      );
+
+      console.log(`Prompt ${promptId} restauré (${Object.keys(update).join(', ')})`);
+
+      return { prompt_id: promptId, restored };
+    } catch (error) {
+      console.error(`Erreur lors de la restauration du prompt ${promptId}:`, error.message);
+      return { prompt_id: promptId, skipped: `Échec de la restauration: ${error.message}` };
+    }
+  }
+
+  /**
+   * Regroupe les restaurations effectuées et ignorées
+   * @param {Array<Object>} outcomes - Résultats de restorePrompt
+   * @returns {Object} - { rolled_back, skipped }
+   */
+  collect(outcomes) {
+    return {
+      rolled_back: outcomes.filter(outcome => outcome.restored),
+      skipped: outcomes
+        .filter(outcome => !outcome.restored)
+        .map(outcome => ({ prompt_id: outcome.prompt_id, reason: outcome.skipped }))
+    };
+  }
+}
+
+module.exports = RollbackService;
@@ -0,0 +1,223 @@
+/**
+ * Stockage des variations
+ * -------------------------------------------------
+ * Persiste les variantes de titre/description des prompts et les résultats
+ * des tests A/B dans MongoDB
+ */
+
+const { PromptVariation } = require('../database');
+
+/**
+ * Extrait les métriques d'une réponse de performance de l'API
+ * @param {Object} performance - Performances renvoyées par l'API SnackPrompt
+ * @returns {Object} - Vues, ventes et taux de conversion
+ */
+const extractMetrics = (performance = {}) => {
+  const source = performance.summary || performance;
+  const views = source.views || 0;
+  const sales = source.sales || 0;
+  const conversion = typeof source.conversion_rate === 'number'
+    ? source.conversion_rate
+    : (views > 0 ? sales / views : 0);
+
+  return { views, sales, conversion };
+};
+
+/**
+ * Stocke les variations d'un prompt pour les tests A/B futurs
+ * Les résultats déjà enregistrés sont conservés.
+ * @param {string} promptId - ID du prompt
+ * @param {Object} variations - Variations du prompt
+ * @param {Array<string>} variations.titles - Variantes de titre
+ * @param {Array<string>} variations.descriptions - Variantes de description
+ * @returns {Promise<Object|null>} - Variations stockées ou null si aucune
+ */
+const storePromptVariations = async (promptId, variations) => {
+  if (!variations || !Array.isArray(variations.titles) || variations.titles.length === 0) {
+    console.log(`Aucune variation à stocker pour le prompt ${promptId}`);
+    return null;
+  }
+
+  const stored = await PromptVariation.findOneAndUpdate(
+    { prompt_id: promptId },
+    {
+      $set: {
+        titles: variations.titles,
+        descriptions: variations.descriptions || []
+      },
+      // De nouvelles variantes rouvrent l'évaluation des tests
+      $unset: { decision: '' }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  console.log(`${stored.titles.length} variations stockées pour le prompt ${promptId}`);
+
+  return stored;
+};
+
+/**
+ * Récupère les variations stockées d'un prompt
+ * @param {string} promptId - ID du prompt
+ * @returns {Promise<Object|null>} - Variations et résultats, ou null si inconnues
+ */
+const retrievePromptVariations = async (promptId) => {
+  return PromptVariation.findOne({ prompt_id: promptId }).lean();
+};
+
+/**
+ * Enregistre le démarrage du test d'une variante
+ * @param {string} promptId - ID du prompt
+ * @param {number} variationIndex - Index de la variante testée
+ * @param {number} duration - Durée prévue du test en millisecondes
+ * @returns {Promise<Object|null>} - Variations mises à jour
+ */
+const markTestStarted = async (promptId, variationIndex, duration) => {
+  const startedAt = new Date();
+
+  return PromptVariation.findOneAndUpdate(
+    { prompt_id: promptId },
+    {
+      $set: {
+        current_test: {
+          variation_index: variationIndex,
+          started_at: startedAt,
+          ends_at: new Date(startedAt.getTime() + duration)
+        }
+      }
+    },
+    { new: true }
+  ).lean();
+};
+
+/**
+ * Stocke les résultats du test d'une variante
+ * @param {string} promptId - ID du prompt
+ * @param {number} variationIndex - Index de la variante testée
+ * @param {Object} performance - Performances du prompt sur la fenêtre de test
+ * @returns {Promise<Object>} - Variations mises à jour
+ */
+const storeTestResults = async (promptId, variationIndex, performance) => {
+  const variations = await PromptVariation.findOne({ prompt_id: promptId });
+
+  if (!variations) {
+    throw new Error(`Aucune variation stockée pour le prompt ${promptId}`);
+  }
+
+  const { views, sales, conversion } = extractMetrics(performance);
+  const currentTest = variations.current_test || {};
+  const isCurrentTest = currentTest.variation_index === variationIndex;
+
+  const result = {
+    variation_index: variationIndex,
+    title: variations.titles[variationIndex],
+    description: variations.descriptions[variationIndex],
+    views,
+    sales,
+    conversion,
+    test_started_at: isCurrentTest ? currentTest.started_at : undefined,
+    test_ended_at: new Date()
+  };
+
+  // Remplacer un éventuel résultat précédent pour la même variante
+  variations.results = variations.results
+    .filter(r => r.variation_index !== variationIndex)
+    .concat(result);
+  variations.tested_count = Math.max(variations.tested_count || 0, variationIndex + 1);
+
+  if (isCurrentTest) {
+    variations.current_test = undefined;
+  }
+
+  await variations.save();
+
+  console.log(`Résultats stockés pour ${promptId}, variante #${variationIndex + 1}: ${views} vues, ${sales} ventes`);
+
+  return variations.toObject();
+};
+
+/**
+ * Enregistre la décision prise à l'issue des tests A/B d'un prompt
+ * @param {string} promptId - ID du prompt
+ * @param {Object} decision - Décision de l'évaluation
+ * @returns {Promise<Object|null>} - Variations mises à jour
+ */
+const storeTestDecision = async (promptId, decision) => {
+  return PromptVariation.findOneAndUpdate(
+    { prompt_id: promptId },
+    {
+      $set: {
+        decision: {
+          outcome: decision.outcome,
+          winner_index: decision.winnerIndex,
+          confidence: decision.confidence,
+          rationale: decision.rationale,
+          decided_at: new Date()
+        }
+      }
+    },
+    { new: true }
+  ).lean();
+};
+
+/**
+ * Récupère les variations stockées de plusieurs prompts
+ * @param {Array<string>} promptIds - IDs des prompts
+ * @returns {Promise<Map>} - Map des variations (id du prompt -> variations)
+ */
+const retrieveVariationsForPrompts = async (promptIds) => {
+  const documents = await PromptVariation.find({ prompt_id: { $in: promptIds } }).lean();
+
+  return new Map(documents.map(doc => [doc.prompt_id, doc]));
+};
+
+/**
+ * Force le mode de test d'un prompt
+ * @param {string} promptId - ID du prompt
+ * @param {string|null} mode - 'sequential', 'bandit' ou null pour revenir au mode par défaut
+ * @returns {Promise<Object|null>} - Variations mises à jour
+ */
+const setTestingMode = async (promptId, mode) => {
+  const update = mode ? { $set: { testing_mode: mode } } : { $unset: { testing_mode: '' } };
+
+  return PromptVariation.findOneAndUpdate({ prompt_id: promptId }, update, { new: true }).lean();
+};
+
+/**
+ * Enregistre l'état du bandit après une rotation
+ * @param {string} promptId - ID du prompt
+ * @param {Object} bandit - État du bandit
+ * @param {number} bandit.activeIndex - Index de la variante désormais affichée
+ * @param {Array} bandit.arms - Compteurs de chaque variante
+ * @param {number} bandit.snapshotViews - Vues cumulées du prompt au moment de la rotation
+ * @param {number} bandit.snapshotSales - Ventes cumulées du prompt au moment de la rotation
+ * @returns {Promise<Object|null>} - Variations mises à jour
+ */
+const recordBanditRotation = async (promptId, bandit) => {
+  return PromptVariation.findOneAndUpdate(
+    { prompt_id: promptId },
+    {
+      $set: {
+        bandit: {
+          active_index: bandit.activeIndex,
+          snapshot_views: bandit.snapshotViews,
+          snapshot_sales: bandit.snapshotSales,
+          rotated_at: new Date(),
+          arms: bandit.arms
+        }
+      }
+    },
+    { new: true }
+  ).lean();
+};
+
+module.exports = {
+  storePromptVariations,
+  retrievePromptVariations,
+  retrieveVariationsForPrompts,
+  markTestStarted,
+  storeTestResults,
+  storeTestDecision,
+  setTestingMode,
+  recordBanditRotation
+};
@@ -0,0 +1,82 @@
+/**
+ * Suivi des vues
+ * -------------------------------------------------
+ * Enregistre les vues reçues en temps réel via le webhook prompt.viewed et
+ * fournit les compteurs de vues récents à l'optimisation horaire des prix
+ */
+
+const { PromptView } = require('../database');
+
+class ViewTracker {
+  /**
+   * Initialise le suivi des vues
+   * @param {Object} [options] - Options du suivi
+   * @param {number} [options.windowMs] - Fenêtre de comptage des vues récentes en millisecondes
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 60 * 60 * 1000; // 1 heure
+  }
+
+  /**
+   * Enregistre une vue de prompt
+   * @param {Object} viewData - Données de la vue
+   * @param {string} viewData.promptId - ID du prompt consulté
+   * @param {string} [viewData.viewId] - ID de la vue
+   * @param {string} [viewData.userId] - ID de l'utilisateur
+   * @param {string} [viewData.source] - Origine de la vue (search, home...)
+   * @param {string|Date} [viewData.viewedAt] - Date de la vue
+   * @returns {Promise<Object>} - Vue enregistrée
+   */
+  async recordView(viewData) {
+    const { viewId, promptId, userId, source, viewedAt } = viewData;
+
+    if (!promptId) {
+      throw new Error('Vue reçue sans identifiant de prompt');
+    }
+
+    const view = await PromptView.create({
+      view_id: viewId,
+      prompt_id: promptId,
+      user_id: userId,
+      source,
+      viewed_at: viewedAt ? new Date(viewedAt) : new Date()
+    });
+
+    return view.toObject();
+  }
+
+  /**
+   * Compte les vues reçues par prompt sur la fenêtre récente
+   * @returns {Promise<Map>} - Map des vues (id du prompt -> nombre de vues)
+   */
+  async getRecentViewCounts() {
+    const counts = await PromptView.aggregate([
+      { $match: { viewed_at: { $gte: new Date(Date.now() - this.windowMs) } } },
+      { $group: { _id: '$prompt_id', views: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(count => [count._id, count.views]));
+  }
+
+  /**
+   * Remplace les vues de la dernière heure des statistiques par les vues reçues en temps réel
+   * Les statistiques sont renvoyées inchangées si aucune vue n'a été reçue sur la
+   * fenêtre (webhook prompt.viewed non configuré par exemple).
+   * @param {Array} stats - Statistiques des prompts
+   * @returns {Promise<Array>} - Statistiques avec les vues en temps réel
+   */
+  async applyRealTimeViews(stats) {
+    const counts = await this.getRecentViewCounts();
+
+    if (counts.size === 0) {
+      return stats;
+    }
+
+    return stats.map(prompt => ({
+      ...prompt,
+      views_last_hour: counts.get(prompt.id) || 0
+    }));
+  }
+}
+
+module.exports = ViewTracker;
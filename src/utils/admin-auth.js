@@ -0,0 +1,35 @@
+/**
+ * Authentification des routes d'administration
+ * -------------------------------------------------
+ * Protège les routes /admin par un jeton partagé (ADMIN_API_TOKEN)
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Middleware exigeant le jeton d'administration dans l'en-tête Authorization
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Middleware suivant
+ */
+const requireAdminToken = (req, res, next) => {
+  const expectedToken = process.env.ADMIN_API_TOKEN;
+
+  if (!expectedToken) {
+    return res.status(503).json({ error: 'Admin API token not configured' });
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const received = Buffer.from(token || '');
+  const expected = Buffer.from(expectedToken);
+
+  if (scheme !== 'Bearer' || received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdminToken
+};
@@ -0,0 +1,213 @@
+/**
+ * Gestion des erreurs
+ * -------------------------------------------------
+ * Hiérarchie des erreurs de l'API SnackPrompt et middleware Express
+ * convertissant les erreurs en réponses HTTP
+ */
+
+class ApiError extends Error {
+  /**
+   * Erreur renvoyée par l'API SnackPrompt
+   * @param {string} message - Message de l'erreur
+   * @param {Object} [options] - Détails de l'erreur
+   * @param {number} [options.status] - Code HTTP renvoyé par l'API
+   * @param {string} [options.code] - Code d'erreur de l'API (ex: INVALID_REQUEST)
+   * @param {Object} [options.details] - Détails fournis par l'API
+   * @param {string} [options.requestId] - Identifiant de la requête côté plateforme
+   * @param {string} [options.method] - Méthode HTTP de la requête
+   * @param {string} [options.url] - URL de la requête
+   * @param {Object} [options.data] - Corps de la réponse
+   * @param {Error} [options.cause] - Erreur d'origine
+   */
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = this.constructor.name;
+    this.status = options.status;
+    this.code = options.code;
+    this.details = options.details;
+    this.requestId = options.requestId;
+    this.method = options.method;
+    this.url = options.url;
+    this.data = options.data;
+  }
+
+  /**
+   * Code HTTP à renvoyer aux clients de notre serveur
+   * @returns {number} - Code HTTP
+   */
+  get httpStatus() {
+    return 502; // La plateforme a renvoyé une erreur
+  }
+}
+
+class ApiAuthError extends ApiError {}
+
+class ApiValidationError extends ApiError {
+  /**
+   * Erreur de validation, avec le détail des champs refusés
+   * @param {string} message - Message de l'erreur
+   * @param {Object} [options] - Détails de l'erreur (voir ApiError)
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.fields = (options.details && options.details.fields) || options.details || {};
+  }
+
+  get httpStatus() {
+    return 422;
+  }
+}
+
+class ApiRateLimitError extends ApiError {
+  /**
+   * Limite de taux dépassée
+   * @param {string} message - Message de l'erreur
+   * @param {Object} [options] - Détails de l'erreur (voir ApiError)
+   * @param {number} [options.retryAfter] - Délai d'attente demandé par l'API, en secondes
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.retryAfter = options.retryAfter;
+  }
+
+  get httpStatus() {
+    return 503;
+  }
+}
+
+class ApiServerError extends ApiError {}
+
+/**
+ * Requête refusée par le disjoncteur sans avoir été envoyée à la plateforme
+ */
+class CircuitOpenError extends ApiServerError {
+  get httpStatus() {
+    return 503;
+  }
+}
+
+class NotFoundError extends ApiError {
+  get httpStatus() {
+    return 404;
+  }
+}
+
+/**
+ * Convertit une erreur axios en erreur typée
+ * @param {Object} error - Erreur axios (avec ou sans réponse)
+ * @returns {ApiError} - Erreur typée
+ */
+const createApiError = (error) => {
+  const { response, config = {} } = error;
+  const method = (config.method || 'get').toUpperCase();
+
+  const options = {
+    method,
+    url: config.url,
+    cause: error
+  };
+
+  // Erreur réseau ou délai dépassé : aucune réponse de la plateforme
+  if (!response) {
+    return new ApiServerError(`API injoignable (${method} ${config.url}): ${error.code || error.message}`, options);
+  }
+
+  const body = response.data || {};
+  const apiError = body.error || {};
+  const { status } = response;
+
+  Object.assign(options, {
+    status,
+    code: apiError.code,
+    details: apiError.details,
+    requestId: response.headers['x-request-id'] || body.request_id,
+    data: body
+  });
+
+  const message = `${apiError.message || 'Erreur de l\'API SnackPrompt'} (${status} ${method} ${config.url})`;
+
+  if (status === 401 || status === 403) {
+    return new ApiAuthError(message, options);
+  }
+
+  if (status === 400 || status === 422) {
+    return new ApiValidationError(message, options);
+  }
+
+  if (status === 404) {
+    return new NotFoundError(message, options);
+  }
+
+  if (status === 429) {
+    return new ApiRateLimitError(message, {
+      ...options,
+      retryAfter: parseInt(response.headers['retry-after'], 10) || undefined
+    });
+  }
+
+  if (status >= 500) {
+    return new ApiServerError(message, options);
+  }
+
+  return new ApiError(message, options);
+};
+
+let unhandledRejectionListenerRegistered = false;
+
+/**
+ * Configure la gestion des erreurs du serveur Express
+ * À appeler après l'enregistrement de toutes les routes.
+ * @param {Object} app - Application Express
+ */
+const setupErrorHandling = (app) => {
+  // Routes inconnues
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  // Conversion des erreurs en réponses HTTP (la signature à 4 arguments est requise par Express)
+  app.use((error, req, res, next) => {
+    // Corps JSON invalide
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+
+    if (error instanceof ApiError) {
+      console.error(`Erreur API sur ${req.method} ${req.path}:`, error.message);
+
+      if (error instanceof ApiRateLimitError && error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+
+      return res.status(error.httpStatus).json({
+        error: error.message,
+        code: error.code,
+        details: error instanceof ApiValidationError ? error.fields : undefined,
+        request_id: error.requestId
+      });
+    }
+
+    console.error(`Erreur non gérée sur ${req.method} ${req.path}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  // Erreurs asynchrones non interceptées (un seul écouteur, même après un redémarrage du serveur)
+  if (!unhandledRejectionListenerRegistered) {
+    process.on('unhandledRejection', reason => {
+      console.error('Promesse rejetée non gérée:', reason);
+    });
+    unhandledRejectionListenerRegistered = true;
+  }
+};
+
+module.exports = {
+  ApiError,
+  ApiAuthError,
+  ApiValidationError,
+  ApiRateLimitError,
+  ApiServerError,
+  CircuitOpenError,
+  NotFoundError,
+  createApiError,
+  setupErrorHandling
+};
@@ -4,6 +4,8 @@
  * Fonctions pour formater les données
  */
 
+const { applyPricingPolicy, applyBundlePricing, roundToCents } = require('./pricing-policy');
+
 /**
  * Formate un montant en devise
  * @param {number} amount - Montant à formatter
@@ -100,7 +102,7 @@ const formatForAPI = {
       title: title.trim(),
       description: description.trim(),
       prompt_text: prompt_text.trim(),
-      price: Math.round(parseFloat(price)),
+      price: applyPricingPolicy(parseFloat(price), { category: category.trim() }),
       category: category.toLowerCase().trim(),
       tags: tags.map(tag => tag.toLowerCase().trim()),
       image_url: image_url || null
@@ -125,8 +127,8 @@ const formatForAPI = {
       name: name.trim(),
       description: description.trim(),
       prompt_ids: Array.isArray(prompt_ids) ? prompt_ids : [prompt_ids],
-      price: Math.round(parseFloat(price)),
-      original_price: Math.round(parseFloat(original_price))
+      price: applyBundlePricing(parseFloat(price)),
+      original_price: roundToCents(parseFloat(original_price))
     };
   },
   
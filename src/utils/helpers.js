@@ -0,0 +1,16 @@
+/**
+ * Fonctions utilitaires
+ * -------------------------------------------------
+ * Petites fonctions génériques partagées par les modules
+ */
+
+/**
+ * Attend pendant un délai donné
+ * @param {number} ms - Délai en millisecondes
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  delay
+};
@@ -0,0 +1,242 @@
+/**
+ * Contexte d'exécution des jobs
+ * -------------------------------------------------
+ * Associe chaque exécution d'un job automatisé à un identifiant et à son mode
+ * (réel ou simulation). En simulation, les écritures de l'API SnackPrompt ne
+ * sont pas envoyées : elles sont consignées dans un plan (avant/après par
+ * ressource) renvoyé et notifié à la fin du job.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { sendNotification } = require('./notifications');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Indique si la simulation est configurée pour un job
+ * DRY_RUN=true active la simulation pour tous les jobs ; DRY_RUN_JOBS liste les jobs simulés.
+ * @param {string} [job] - Nom du job
+ * @returns {boolean} - true si le job doit être simulé
+ */
+const isDryRunConfigured = (job) => {
+  if (process.env.DRY_RUN === 'true') {
+    return true;
+  }
+
+  const jobs = (process.env.DRY_RUN_JOBS || '').split(',').map(name => name.trim()).filter(Boolean);
+  return Boolean(job) && jobs.includes(job);
+};
+
+/**
+ * Retourne le contexte du job en cours
+ * @returns {Object|null} - { job, runId, dryRun, plan, startedAt, reason, metadata } ou null hors d'un job
+ */
+const getJobContext = () => storage.getStore() || null;
+
+/**
+ * Indique si les écritures doivent être simulées
+ * Hors d'un job, seule la simulation globale (DRY_RUN) s'applique.
+ * @returns {boolean} - true en simulation
+ */
+const isDryRun = () => {
+  const context = getJobContext();
+  return context ? context.dryRun : isDryRunConfigured();
+};
+
+/**
+ * Calcule les champs modifiés entre deux états d'une ressource
+ * @param {Object|null} before - État avant
+ * @param {Object|null} after - État après
+ * @returns {Object} - Champs modifiés { champ: { before, after } }
+ */
+const diffObjects = (before, after) => {
+  const changes = {};
+  const previous = before || {};
+  const next = after || {};
+
+  for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+      changes[field] = { before: previous[field], after: next[field] };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Consigne une écriture simulée dans le plan du job en cours
+ * @param {Object} change - Écriture simulée
+ * @param {string} change.method - Méthode HTTP
+ * @param {string} change.endpoint - Endpoint appelé
+ * @param {string} change.resourceType - Type de ressource (prompts, promotions...)
+ * @param {string|null} change.resourceId - ID de la ressource (null pour une création)
+ * @param {string} [change.action] - Action sur la ressource (cancel, approve...)
+ * @param {Object|null} change.before - État avant
+ * @param {Object|null} change.after - État après
+ */
+const recordPlannedChange = (change) => {
+  const context = getJobContext();
+  const entry = {
+    method: change.method,
+    endpoint: change.endpoint,
+    resource_type: change.resourceType,
+    resource_id: change.resourceId,
+    action: change.action,
+    before: change.before,
+    after: change.after,
+    planned_at: new Date().toISOString()
+  };
+
+  if (context) {
+    context.plan.push(entry);
+  }
+
+  console.log(`[SIMULATION${context ? ` ${context.job}` : ''}] ${entry.method} ${entry.endpoint} non appliqué`);
+};
+
+/**
+ * Retourne l'état d'une ressource après les écritures déjà simulées par le job en cours
+ * @param {string} resourceType - Type de ressource
+ * @param {string} resourceId - ID de la ressource
+ * @returns {Object|null|undefined} - Dernier état simulé, undefined si la ressource n'a pas été modifiée
+ */
+const getPlannedState = (resourceType, resourceId) => {
+  const context = getJobContext();
+  const entries = context
+    ? context.plan.filter(entry => entry.resource_type === resourceType && entry.resource_id === resourceId && !entry.action)
+    : [];
+
+  return entries.length > 0 ? entries[entries.length - 1].after : undefined;
+};
+
+/**
+ * Regroupe les écritures simulées par ressource
+ * Plusieurs écritures sur une même ressource sont fusionnées (premier état avant, dernier état après).
+ * @param {Array} plan - Écritures simulées
+ * @returns {Array} - Modifications par ressource { resource_type, resource_id, operations, changes }
+ */
+const summarizePlan = (plan) => {
+  const byResource = new Map();
+
+  plan.forEach((entry, index) => {
+    // Les créations n'ont pas encore d'identifiant : chacune est une ressource distincte
+    const key = entry.resource_id ? `${entry.resource_type}/${entry.resource_id}` : `${entry.resource_type}/new-${index}`;
+
+    if (!byResource.has(key)) {
+      byResource.set(key, {
+        resource_type: entry.resource_type,
+        resource_id: entry.resource_id,
+        operations: [],
+        before: entry.before,
+        after: entry.after
+      });
+    }
+
+    const summary = byResource.get(key);
+    summary.operations.push(entry.action || entry.method);
+    summary.after = entry.after;
+  });
+
+  return [...byResource.values()].map(({ before, after, ...summary }) => ({
+    ...summary,
+    changes: diffObjects(before, after)
+  }));
+};
+
+/**
+ * Formate un plan pour une notification
+ * @param {Array} changes - Modifications par ressource (voir summarizePlan)
+ * @returns {string} - Description lisible du plan
+ */
+const formatPlan = (changes) => {
+  if (changes.length === 0) {
+    return 'Aucune modification prévue.';
+  }
+
+  return changes.map(change => {
+    const fields = Object.entries(change.changes)
+      .filter(([field]) => field !== 'updated_at')
+      .map(([field, { before, after }]) => `    ${field}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`);
+
+    return [`- ${change.resource_type}/${change.resource_id || 'nouveau'} (${change.operations.join(', ')})`, ...fields].join('\n');
+  }).join('\n');
+};
+
+/**
+ * Exécute un traitement en associant une raison à ses écritures
+ * La raison est reprise par le journal d'audit et l'historique des révisions.
+ * @param {string} reason - Raison des écritures (ex: increase_high_conversion)
+ * @param {Function} fn - Traitement
+ * @param {Object} [metadata] - Informations complémentaires (ex: { variationIndex })
+ * @returns {Promise<*>} - Résultat du traitement
+ */
+const withReason = (reason, fn, metadata = {}) => {
+  const context = getJobContext() || { job: null, runId: null, dryRun: isDryRunConfigured(), plan: [], startedAt: new Date() };
+  return storage.run({ ...context, reason, metadata }, fn);
+};
+
+/**
+ * Exécute un traitement hors de tout contexte de job
+ * À utiliser pour les callbacks de timers armés pendant un job : sans cela, ils hériteraient
+ * du contexte du job (simulation, run_id, raison) bien après sa fin.
+ * @param {Function} fn - Traitement
+ * @returns {*} - Résultat du traitement
+ */
+const runOutsideJob = (fn) => storage.exit(fn);
+
+/**
+ * Exécute un job dans son contexte
+ * En simulation, le plan est notifié et renvoyé à la place du résultat du job.
+ * @param {string} job - Nom du job (hourly, daily, weekly, promotions, generation...)
+ * @param {Function} fn - Traitement du job
+ * @param {Object} [options] - Options d'exécution
+ * @param {boolean} [options.dryRun] - Force ou désactive la simulation (défaut: configuration)
+ * @returns {Promise<*>} - Résultat du job, ou { dry_run, job, run_id, result, plan, changes } en simulation
+ */
+const runJob = async (job, fn, options = {}) => {
+  const context = {
+    job,
+    runId: crypto.randomUUID(),
+    dryRun: options.dryRun !== undefined ? options.dryRun : isDryRunConfigured(job),
+    plan: [],
+    startedAt: new Date()
+  };
+
+  const result = await storage.run(context, fn);
+
+  if (!context.dryRun) {
+    return result;
+  }
+
+  const changes = summarizePlan(context.plan);
+
+  await sendNotification({
+    type: 'info',
+    subject: `Simulation du job ${job}`,
+    message: `${context.plan.length} écriture(s) simulée(s) sur ${changes.length} ressource(s), rien n'a été appliqué:\n${formatPlan(changes)}`,
+    attachment: { run_id: context.runId, changes }
+  });
+
+  return {
+    dry_run: true,
+    job,
+    run_id: context.runId,
+    result,
+    plan: context.plan,
+    changes
+  };
+};
+
+module.exports = {
+  runJob,
+  withReason,
+  runOutsideJob,
+  getJobContext,
+  isDryRun,
+  isDryRunConfigured,
+  recordPlannedChange,
+  getPlannedState,
+  summarizePlan,
+  diffObjects
+};
@@ -0,0 +1,183 @@
+/**
+ * Politique de prix
+ * -------------------------------------------------
+ * Règles communes à tous les calculs de prix : paliers de prix, terminaison
+ * psychologique (ex: .99) et bornes par catégorie. Tout prix envoyé à la
+ * plateforme passe par ces fonctions.
+ */
+
+/**
+ * Lit la configuration de la politique de prix
+ * PRICE_LADDER liste les paliers autorisés (ex: 19,29,39,49), PRICE_CHARM_ENDING
+ * remplace les centimes du palier (ex: 0.99, le palier 29 est publié à 29.99) et
+ * PRICE_CATEGORY_BOUNDS les bornes par catégorie au format JSON
+ * (ex: {"marketing":{"min":29,"max":99}}). PROMOTION_DISCOUNT_TOLERANCE fixe l'écart
+ * maximal, en points, entre la remise demandée et la remise obtenue après arrondi.
+ * @returns {Object} - { min, max, ladder, charmEnding, categoryBounds, discountTolerance }
+ */
+const getPricingConfig = () => {
+  let categoryBounds = {};
+  const discountTolerance = parseFloat(process.env.PROMOTION_DISCOUNT_TOLERANCE);
+
+  try {
+    categoryBounds = JSON.parse(process.env.PRICE_CATEGORY_BOUNDS || '{}');
+  } catch (error) {
+    console.error('PRICE_CATEGORY_BOUNDS invalide, bornes par catégorie ignorées:', error.message);
+  }
+
+  return {
+    min: parseFloat(process.env.MIN_PROMPT_PRICE) || 25,
+    max: parseFloat(process.env.MAX_PROMPT_PRICE) || 150,
+    ladder: (process.env.PRICE_LADDER || '')
+      .split(',')
+      .map(step => parseFloat(step))
+      .filter(step => step > 0)
+      .sort((a, b) => a - b),
+    charmEnding: parseFloat(process.env.PRICE_CHARM_ENDING) || 0,
+    discountTolerance: Number.isFinite(discountTolerance) ? discountTolerance : 5,
+    categoryBounds: Object.fromEntries(
+      Object.entries(categoryBounds).map(([category, bounds]) => [category.toLowerCase(), bounds])
+    )
+  };
+};
+
+/**
+ * Retourne les bornes de prix d'une catégorie
+ * @param {string} [category] - Catégorie du prompt
+ * @returns {Object} - { min, max }
+ */
+const getPriceBounds = (category) => {
+  const config = getPricingConfig();
+  const bounds = (category && config.categoryBounds[category.toLowerCase()]) || {};
+
+  return {
+    min: bounds.min !== undefined ? bounds.min : config.min,
+    max: bounds.max !== undefined ? bounds.max : config.max
+  };
+};
+
+/**
+ * Arrondit un montant au centime
+ * @param {number} amount - Montant
+ * @returns {number} - Montant arrondi
+ */
+const roundToCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Applique la terminaison psychologique à un prix entier : elle remplace les centimes,
+ * le palier 29 est donc publié à 29.99
+ * @param {number} price - Prix entier
+ * @param {number} ending - Centimes de terminaison (0 pour aucune)
+ * @returns {number} - Prix terminé
+ */
+const applyCharmEnding = (price, ending) => (ending > 0 ? roundToCents(Math.floor(price) + ending) : price);
+
+/**
+ * Retrouve le prix entier d'un prix terminé (ex: 29.99 → 29)
+ * @param {number} price - Prix publié
+ * @param {number} ending - Centimes de terminaison (0 pour aucune)
+ * @returns {number} - Prix entier
+ */
+const removeCharmEnding = (price, ending) => (ending > 0 ? Math.floor(roundToCents(price)) : Math.round(price));
+
+/**
+ * Retourne l'index du palier le plus proche d'un prix
+ * @param {number} price - Prix
+ * @param {Array<number>} ladder - Paliers autorisés, triés
+ * @returns {number} - Index du palier
+ */
+const nearestStepIndex = (price, ladder) => ladder.reduce(
+  (best, step, index) => (Math.abs(step - price) < Math.abs(ladder[best] - price) ? index : best),
+  0
+);
+
+/**
+ * Calcule le prix publiable le plus proche d'un prix cible
+ * Le prix est borné selon la catégorie, ramené sur un palier (ou à l'euro près)
+ * puis terminé. Avec un prix actuel, une hausse ou une baisse franchit au moins un
+ * palier (ou un euro) dans sa direction au lieu d'être annulée par l'arrondi.
+ * Appliquer la politique à un prix qui la respecte déjà ne le modifie pas.
+ * @param {number} price - Prix cible
+ * @param {Object} [options] - Options
+ * @param {string} [options.category] - Catégorie du prompt
+ * @param {number} [options.current] - Prix actuel
+ * @returns {number} - Prix publiable
+ */
+const applyPricingPolicy = (price, options = {}) => {
+  const { ladder, charmEnding } = getPricingConfig();
+  const { min, max } = getPriceBounds(options.category);
+  const target = Math.min(Math.max(price, min), max);
+
+  // Prix entiers autorisés : paliers compatibles avec les bornes, sinon tous les euros
+  const steps = ladder.filter(step => applyCharmEnding(step, charmEnding) >= min && applyCharmEnding(step, charmEnding) <= max);
+  const lowest = Math.ceil(roundToCents(min - charmEnding));
+  const highest = Math.floor(roundToCents(max - charmEnding));
+  const snap = value => (steps.length > 0 ? steps[nearestStepIndex(value, steps)] : Math.min(Math.max(Math.round(value), lowest), highest));
+  const stepAbove = value => (steps.length > 0 ? steps.find(step => step > value) : (value < highest ? value + 1 : undefined));
+  const stepBelow = value => (steps.length > 0 ? [...steps].reverse().find(step => step < value) : (value > lowest ? value - 1 : undefined));
+
+  // La terminaison remplace les centimes : le prix entier le plus proche se compare à la cible sans elle
+  let rounded = snap(target - charmEnding);
+
+  if (options.current !== undefined && target !== options.current) {
+    const current = snap(removeCharmEnding(options.current, charmEnding));
+
+    if (target > options.current && rounded <= current) {
+      rounded = stepAbove(current) || current;
+    } else if (target < options.current && rounded >= current) {
+      rounded = stepBelow(current) || current;
+    }
+  }
+
+  const result = roundToCents(Math.min(Math.max(applyCharmEnding(rounded, charmEnding), min), max));
+
+  // Aucun prix publiable dans la direction demandée : le prix actuel est conservé
+  if (options.current !== undefined && (target - options.current) * (result - options.current) < 0) {
+    return options.current;
+  }
+
+  return result;
+};
+
+/**
+ * Calcule un prix remisé conforme à la politique de prix
+ * Les paliers et les bornes peuvent éloigner la remise obtenue de la remise demandée
+ * (29.99 remisé de 15% tombe au palier 18.99, soit 37%) ou l'annuler (prix déjà au minimum).
+ * La remise est refusée si elle est nulle ou s'écarte de plus de PROMOTION_DISCOUNT_TOLERANCE
+ * points de la demande ; sinon c'est la remise obtenue qui doit être affichée.
+ * @param {number} price - Prix de référence
+ * @param {number} discountPercentage - Remise demandée en pourcentage
+ * @param {Object} [options] - Options (voir applyPricingPolicy)
+ * @returns {Object|null} - { price, discountPercentage } avec la remise obtenue, ou null si elle est refusée
+ */
+const applyDiscount = (price, discountPercentage, options = {}) => {
+  const { discountTolerance } = getPricingConfig();
+  const discountedPrice = applyPricingPolicy(price * (1 - discountPercentage / 100), { ...options, current: price });
+  const actualPercentage = Math.round((1 - discountedPrice / price) * 100);
+
+  if (actualPercentage <= 0 || Math.abs(actualPercentage - discountPercentage) > discountTolerance) {
+    return null;
+  }
+
+  return { price: discountedPrice, discountPercentage: actualPercentage };
+};
+
+/**
+ * Calcule un prix de bundle : seule la terminaison s'applique, les paliers et
+ * les bornes concernent les prompts individuels
+ * @param {number} price - Prix cible du bundle
+ * @returns {number} - Prix du bundle
+ */
+const applyBundlePricing = (price) => {
+  const { charmEnding } = getPricingConfig();
+  return roundToCents(applyCharmEnding(Math.max(Math.round(price - charmEnding), 1), charmEnding));
+};
+
+module.exports = {
+  getPricingConfig,
+  getPriceBounds,
+  applyPricingPolicy,
+  applyDiscount,
+  applyBundlePricing,
+  roundToCents
+};
@@ -0,0 +1,209 @@
+/**
+ * Utilitaires statistiques
+ * -------------------------------------------------
+ * Fonctions statistiques utilisées pour évaluer les tests et les tendances
+ */
+
+/**
+ * Fonction de répartition de la loi normale centrée réduite
+ * Approximation d'Abramowitz et Stegun (erreur < 1.5e-7)
+ * @param {number} x - Valeur
+ * @returns {number} - P(Z <= x)
+ */
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Test z unilatéral de comparaison de deux proportions
+ * Teste l'hypothèse que la proportion B est supérieure à la proportion A.
+ * @param {number} successesA - Succès du groupe A (contrôle)
+ * @param {number} trialsA - Essais du groupe A
+ * @param {number} successesB - Succès du groupe B (variante)
+ * @param {number} trialsB - Essais du groupe B
+ * @returns {Object} - Statistique z, p-value et confiance que B > A
+ */
+const twoProportionZTest = (successesA, trialsA, successesB, trialsB) => {
+  if (trialsA <= 0 || trialsB <= 0) {
+    return { z: 0, pValue: 1, confidence: 0 };
+  }
+
+  const rateA = successesA / trialsA;
+  const rateB = successesB / trialsB;
+  const pooledRate = (successesA + successesB) / (trialsA + trialsB);
+  const standardError = Math.sqrt(pooledRate * (1 - pooledRate) * (1 / trialsA + 1 / trialsB));
+
+  if (standardError === 0) {
+    return { z: 0, pValue: 0.5, confidence: 0.5 };
+  }
+
+  const z = (rateB - rateA) / standardError;
+  const confidence = normalCdf(z);
+
+  return { z, pValue: 1 - confidence, confidence };
+};
+
+/**
+ * Tire un échantillon de la loi normale centrée réduite (méthode de Box-Muller)
+ * @returns {number} - Échantillon
+ */
+const sampleNormal = () => {
+  const u1 = 1 - Math.random(); // Éviter log(0)
+  const u2 = Math.random();
+
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+};
+
+/**
+ * Tire un échantillon d'une loi Gamma(shape, 1) (méthode de Marsaglia-Tsang)
+ * @param {number} shape - Paramètre de forme (> 0)
+ * @returns {number} - Échantillon
+ */
+const sampleGamma = (shape) => {
+  if (shape < 1) {
+    // Gamma(a) = Gamma(a + 1) * U^(1/a)
+    return sampleGamma(shape + 1) * Math.pow(Math.random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal();
+      v = 1 + c * x;
+    } while (v <= 0);
+
+    v = v * v * v;
+    const u = Math.random();
+
+    if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+      return d * v;
+    }
+  }
+};
+
+/**
+ * Tire un échantillon d'une loi Beta(alpha, beta)
+ * @param {number} alpha - Premier paramètre (> 0)
+ * @param {number} beta - Second paramètre (> 0)
+ * @returns {number} - Échantillon entre 0 et 1
+ */
+const sampleBeta = (alpha, beta) => {
+  const x = sampleGamma(alpha);
+  const y = sampleGamma(beta);
+
+  return x / (x + y);
+};
+
+/**
+ * Quantile de la loi normale centrée réduite
+ * Algorithme d'Acklam (erreur relative < 1.2e-9)
+ * @param {number} p - Probabilité, entre 0 et 1 exclus
+ * @returns {number} - x tel que P(Z <= x) = p
+ */
+const normalQuantile = (p) => {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > 1 - pLow) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Quantile de la loi de Student
+ * Développement de Cornish-Fisher à partir du quantile normal (erreur < 1 % dès 3 degrés de liberté, < 1e-3 dès 10)
+ * @param {number} p - Probabilité, entre 0 et 1 exclus
+ * @param {number} df - Degrés de liberté
+ * @returns {number} - t tel que P(T <= t) = p
+ */
+const studentTQuantile = (p, df) => {
+  const z = normalQuantile(p);
+  const z3 = Math.pow(z, 3);
+  const z5 = Math.pow(z, 5);
+  const z7 = Math.pow(z, 7);
+
+  return z +
+    (z3 + z) / (4 * df) +
+    (5 * z5 + 16 * z3 + 3 * z) / (96 * Math.pow(df, 2)) +
+    (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * Math.pow(df, 3));
+};
+
+/**
+ * Régression linéaire simple par les moindres carrés
+ * @param {Array<number>} xs - Variable explicative
+ * @param {Array<number>} ys - Variable expliquée
+ * @param {number} [confidence] - Niveau de confiance de l'intervalle de la pente (défaut: 0.95)
+ * @returns {Object|null} - { slope, intercept, standardError, confidenceInterval, rSquared, n }, ou null si la pente n'est pas estimable
+ */
+const linearRegression = (xs, ys, confidence = 0.95) => {
+  const n = xs.length;
+
+  if (n < 3 || ys.length !== n) {
+    return null;
+  }
+
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - meanX) ** 2;
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    syy += (ys[i] - meanY) ** 2;
+  }
+
+  // Toutes les observations ont la même valeur explicative
+  if (sxx === 0) {
+    return null;
+  }
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const residualSumOfSquares = Math.max(syy - slope * sxy, 0);
+  const standardError = Math.sqrt(residualSumOfSquares / (n - 2) / sxx);
+  const margin = studentTQuantile(1 - (1 - confidence) / 2, n - 2) * standardError;
+
+  return {
+    slope,
+    intercept,
+    standardError,
+    confidenceInterval: [slope - margin, slope + margin],
+    rSquared: syy > 0 ? 1 - residualSumOfSquares / syy : 1,
+    n
+  };
+};
+
+module.exports = {
+  normalCdf,
+  twoProportionZTest,
+  sampleNormal,
+  sampleGamma,
+  sampleBeta,
+  normalQuantile,
+  studentTQuantile,
+  linearRegression
+};
@@ -0,0 +1,62 @@
+/**
+ * Répartiteur des webhooks
+ * -------------------------------------------------
+ * Registre des gestionnaires d'événements webhook, indexés par type
+ * d'événement (sale.completed, question.received...)
+ */
+
+class WebhookDispatcher {
+  /**
+   * Initialise le répartiteur
+   */
+  constructor() {
+    this.handlers = new Map(); // Map des gestionnaires (type d'événement -> gestionnaire)
+  }
+
+  /**
+   * Enregistre le gestionnaire d'un type d'événement
+   * @param {string} eventType - Type d'événement (ex: sale.completed)
+   * @param {Function} handler - Gestionnaire appelé avec les données et l'enveloppe de l'événement
+   * @returns {WebhookDispatcher} - Le répartiteur, pour chaîner les enregistrements
+   */
+  register(eventType, handler) {
+    if (this.handlers.has(eventType)) {
+      throw new Error(`Un gestionnaire est déjà enregistré pour l'événement ${eventType}`);
+    }
+
+    this.handlers.set(eventType, handler);
+    return this;
+  }
+
+  /**
+   * Liste les types d'événements pris en charge
+   * @returns {Array<string>} - Types d'événements
+   */
+  getEventTypes() {
+    return Array.from(this.handlers.keys());
+  }
+
+  /**
+   * Transmet un événement à son gestionnaire
+   * @param {Object} envelope - Enveloppe de l'événement
+   * @param {string} envelope.event - Type d'événement
+   * @param {string} envelope.timestamp - Date de l'événement
+   * @param {Object} envelope.data - Données de l'événement
+   * @returns {Promise<Object>} - Résultat du traitement
+   */
+  async dispatch(envelope) {
+    const { event, data } = envelope;
+    const handler = this.handlers.get(event);
+
+    if (!handler) {
+      console.log(`Événement webhook non pris en charge: ${event}`);
+      return { handled: false };
+    }
+
+    const result = await handler(data || {}, envelope);
+
+    return { handled: true, result };
+  }
+}
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,20 @@
+/**
+ * Webhooks SnackPrompt
+ * -------------------------------------------------
+ * Point d'entrée des utilitaires de réception des webhooks
+ */
+
+const { captureRawBody, computeSignature, verifyWebhookSignature } = require('./signature');
+const { WebhookQueue, getEventId } = require('./queue');
+const WebhookDispatcher = require('./dispatcher');
+const { registerWebhooks } = require('./registration');
+
+module.exports = {
+  captureRawBody,
+  computeSignature,
+  verifyWebhookSignature,
+  getEventId,
+  WebhookQueue,
+  WebhookDispatcher,
+  registerWebhooks
+};
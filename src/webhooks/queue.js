@@ -0,0 +1,320 @@
+/**
+ * File de traitement des webhooks
+ * -------------------------------------------------
+ * Persiste les événements webhook dès leur réception puis les traite en
+ * arrière-plan, avec nouvelles tentatives à délai exponentiel. Les
+ * événements qui échouent à chaque tentative sont déplacés dans la file
+ * des événements en échec (dead-letter) pour être inspectés et rejoués.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { WebhookEvent, WebhookDeadLetter } = require('../database');
+const { sendNotification } = require('../utils/notifications');
+
+// Délai après lequel un traitement resté "processing" est considéré comme interrompu
+const STALE_PROCESSING_DELAY = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Détermine l'identifiant d'un événement webhook
+ * À défaut d'identifiant explicite, utilise l'empreinte du corps brut :
+ * les renvois de SnackPrompt réutilisent le même corps signé.
+ * @param {Object} req - Requête Express
+ * @returns {string} - Identifiant de l'événement
+ */
+const getEventId = (req) => {
+  const body = req.body || {};
+  const explicitId = req.headers['x-snackprompt-event-id'] || body.id || body.event_id;
+
+  if (explicitId) {
+    return String(explicitId);
+  }
+
+  return crypto.createHash('sha256').update(req.rawBody || JSON.stringify(body)).digest('hex');
+};
+
+class WebhookQueue {
+  /**
+   * Initialise la file de traitement des webhooks
+   * @param {Object} dispatcher - Répartiteur des événements webhook
+   * @param {Object} [options] - Options de la file
+   * @param {number} [options.maxAttempts] - Nombre maximal de tentatives par événement
+   * @param {number} [options.pollInterval] - Intervalle de scrutation de la file en millisecondes
+   */
+  constructor(dispatcher, options = {}) {
+    this.dispatcher = dispatcher;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+    this.pollInterval = options.pollInterval || 5000; // 5 secondes
+    this.initialRetryDelay = 30 * 1000; // 30 secondes, doublé à chaque tentative
+    this.maxRetryDelay = 60 * 60 * 1000; // 1 heure
+    this.batchSize = 20; // Nombre maximal d'événements traités par passage
+
+    this.timer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Enregistre un événement dans la file
+   * @param {string} eventId - Identifiant de l'événement
+   * @param {Object} envelope - Enveloppe de l'événement { event, timestamp, data }
+   * @returns {Promise<Object>} - { event, duplicate } ; duplicate est vrai si l'événement était déjà reçu
+   */
+  async enqueue(eventId, envelope) {
+    try {
+      const event = await WebhookEvent.create({
+        event_id: eventId,
+        event: envelope.event,
+        payload: envelope
+      });
+
+      // Traiter sans attendre le prochain passage du worker
+      setImmediate(() => this.processPending());
+
+      return { event: event.toObject(), duplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const event = await WebhookEvent.findOne({ event_id: eventId }).lean();
+      return { event, duplicate: true };
+    }
+  }
+
+  /**
+   * Démarre le worker de traitement en arrière-plan
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processPending(), this.pollInterval);
+    console.log(`Worker des webhooks démarré (scrutation toutes les ${this.pollInterval / 1000} secondes)`);
+
+    this.processPending();
+  }
+
+  /**
+   * Arrête le worker de traitement
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Traite les événements dus de la file
+   * @returns {Promise<number>} - Nombre d'événements traités
+   */
+  async processPending() {
+    // Un seul passage à la fois
+    if (this.isProcessing) {
+      return 0;
+    }
+
+    this.isProcessing = true;
+    let processed = 0;
+
+    try {
+      await this.releaseStaleEvents();
+
+      while (processed < this.batchSize) {
+        const event = await this.claimNextEvent();
+
+        if (!event) {
+          break;
+        }
+
+        await this.processEvent(event);
+        processed++;
+      }
+    } catch (error) {
+      console.error('Erreur lors du traitement de la file des webhooks:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Remet en file les événements dont le traitement a été interrompu (arrêt du processus)
+   * @returns {Promise<void>}
+   */
+  async releaseStaleEvents() {
+    await WebhookEvent.updateMany(
+      { status: 'processing', claimed_at: { $lt: new Date(Date.now() - STALE_PROCESSING_DELAY) } },
+      { $set: { status: 'retrying', next_attempt_at: new Date() } }
+    );
+  }
+
+  /**
+   * Réserve le prochain événement dû
+   * @returns {Promise<Object|null>} - Événement réservé
+   */
+  async claimNextEvent() {
+    return WebhookEvent.findOneAndUpdate(
+      { status: { $in: ['pending', 'retrying'] }, next_attempt_at: { $lte: new Date() } },
+      { $set: { status: 'processing', claimed_at: new Date() }, $inc: { attempts: 1 } },
+      { new: true, sort: { next_attempt_at: 1 } }
+    );
+  }
+
+  /**
+   * Traite un événement réservé
+   * @param {Object} event - Événement webhook
+   * @returns {Promise<boolean>} - true si l'événement a été traité
+   */
+  async processEvent(event) {
+    try {
+      const { result } = await this.dispatcher.dispatch(event.payload);
+
+      // Les services signalent leurs échecs par { success: false } sans lever d'exception
+      if (result && result.success === false) {
+        throw new Error(result.error || 'Échec du traitement');
+      }
+
+      event.status = 'processed';
+      event.processed_at = new Date();
+      event.last_error = undefined;
+      await event.save();
+
+      return true;
+    } catch (error) {
+      console.error(`Erreur lors du traitement de l'événement webhook ${event.event_id} (${event.event}, tentative ${event.attempts}/${this.maxAttempts}):`, error.message);
+
+      event.last_error = error.message;
+      event.failures.push({ attempt: event.attempts, error: error.message, failed_at: new Date() });
+
+      if (event.attempts < this.maxAttempts) {
+        const retryDelay = Math.min(this.initialRetryDelay * Math.pow(2, event.attempts - 1), this.maxRetryDelay);
+
+        event.status = 'retrying';
+        event.next_attempt_at = new Date(Date.now() + retryDelay);
+        await event.save();
+
+        return false;
+      }
+
+      await this.moveToDeadLetter(event);
+      return false;
+    }
+  }
+
+  /**
+   * Déplace un événement dans la file des événements en échec
+   * @param {Object} event - Événement webhook
+   * @returns {Promise<Object>} - Événement en échec créé
+   */
+  async moveToDeadLetter(event) {
+    const deadLetter = await WebhookDeadLetter.create({
+      event_id: event.event_id,
+      event: event.event,
+      payload: event.payload,
+      attempts: event.attempts,
+      failures: event.failures
+    });
+
+    event.status = 'dead';
+    await event.save();
+
+    await sendNotification({
+      type: 'error',
+      subject: 'Événement webhook en échec',
+      message: `L'événement ${event.event} (${event.event_id}) a échoué après ${event.attempts} tentatives: ${event.last_error}. Il peut être rejoué via /admin/webhooks/dead-letters/${deadLetter._id}/replay`
+    });
+
+    return deadLetter.toObject();
+  }
+
+  /**
+   * Liste les événements en échec
+   * @param {Object} [filters] - Filtres
+   * @param {string} [filters.status] - Statut (dead, replayed)
+   * @param {string} [filters.event] - Type d'événement
+   * @param {number} [filters.limit] - Nombre maximal de résultats
+   * @returns {Promise<Array>} - Événements en échec, du plus récent au plus ancien
+   */
+  async listDeadLetters(filters = {}) {
+    const query = {};
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    if (filters.event) {
+      query.event = filters.event;
+    }
+
+    return WebhookDeadLetter.find(query)
+      .sort({ created_at: -1 })
+      .limit(Math.min(parseInt(filters.limit, 10) || 50, 200))
+      .lean();
+  }
+
+  /**
+   * Récupère un événement en échec
+   * @param {string} deadLetterId - ID de l'événement en échec
+   * @returns {Promise<Object|null>} - Événement en échec
+   */
+  async getDeadLetter(deadLetterId) {
+    // Un identifiant mal formé ne peut correspondre à aucun événement
+    if (!mongoose.isValidObjectId(deadLetterId)) {
+      return null;
+    }
+
+    return WebhookDeadLetter.findById(deadLetterId).lean();
+  }
+
+  /**
+   * Remet un événement en échec dans la file de traitement
+   * @param {string} deadLetterId - ID de l'événement en échec
+   * @returns {Promise<Object|null>} - Événement remis en file, ou null si introuvable
+   */
+  async replay(deadLetterId) {
+    if (!mongoose.isValidObjectId(deadLetterId)) {
+      return null;
+    }
+
+    const deadLetter = await WebhookDeadLetter.findOneAndUpdate(
+      { _id: deadLetterId, status: 'dead' },
+      { $set: { status: 'replayed', replayed_at: new Date() } },
+      { new: true }
+    );
+
+    if (!deadLetter) {
+      return null;
+    }
+
+    // L'événement d'origine a pu expirer : le recréer si nécessaire
+    const event = await WebhookEvent.findOneAndUpdate(
+      { event_id: deadLetter.event_id },
+      {
+        $set: {
+          event: deadLetter.event,
+          payload: deadLetter.payload,
+          status: 'pending',
+          attempts: 0,
+          next_attempt_at: new Date(),
+          failures: []
+        },
+        $unset: { last_error: '', claimed_at: '' }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    console.log(`Événement webhook ${deadLetter.event_id} (${deadLetter.event}) remis en file`);
+
+    setImmediate(() => this.processPending());
+
+    return event;
+  }
+}
+
+module.exports = {
+  WebhookQueue,
+  getEventId
+};
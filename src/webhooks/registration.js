@@ -0,0 +1,89 @@
+/**
+ * Enregistrement des webhooks
+ * -------------------------------------------------
+ * Réconcilie au démarrage les abonnements webhook SnackPrompt avec les
+ * événements gérés par le système
+ */
+
+// Description permettant de reconnaître les abonnements créés par ce système
+const WEBHOOK_DESCRIPTION = 'Prompt Business Automation';
+
+/**
+ * Indique si un abonnement a été créé par ce système
+ * @param {Object} webhook - Abonnement webhook
+ * @returns {boolean} - true si l'abonnement nous appartient
+ */
+const isOwnWebhook = (webhook) => webhook.description === WEBHOOK_DESCRIPTION;
+
+/**
+ * S'assure que notre URL de callback est abonnée à tous les événements gérés
+ * L'abonnement principal est (ré)activé avec les événements et le secret
+ * attendus ; les doublons et nos anciens abonnements pointant vers une autre
+ * URL sont désactivés. Les abonnements créés par ailleurs ne sont pas modifiés.
+ * @param {Object} api - Instance de l'API SnackPrompt
+ * @param {Object} options - Options d'enregistrement
+ * @param {Array<string>} options.events - Types d'événements gérés
+ * @param {string} [options.callbackUrl] - URL de réception (défaut: WEBHOOK_CALLBACK_URL)
+ * @param {string} [options.secret] - Secret de signature (défaut: SNACKPROMPT_WEBHOOK_SECRET)
+ * @returns {Promise<Object>} - Rapport de réconciliation
+ */
+const registerWebhooks = async (api, options) => {
+  const callbackUrl = options.callbackUrl || process.env.WEBHOOK_CALLBACK_URL;
+  const secret = options.secret || process.env.SNACKPROMPT_WEBHOOK_SECRET;
+  const events = options.events;
+
+  if (!callbackUrl || !secret) {
+    console.warn('WEBHOOK_CALLBACK_URL ou SNACKPROMPT_WEBHOOK_SECRET non configuré, enregistrement des webhooks ignoré');
+    return { skipped: true };
+  }
+
+  console.log(`Réconciliation des webhooks pour ${callbackUrl}...`);
+
+  const webhooks = await api.getWebhooks();
+  const matching = webhooks.filter(webhook => webhook.url === callbackUrl);
+
+  // Conserver en priorité un abonnement actif créé par ce système
+  const primary = matching.find(webhook => isOwnWebhook(webhook) && webhook.status === 'active') ||
+    matching.find(isOwnWebhook) ||
+    matching[0];
+
+  const report = { created: null, updated: null, deactivated: [] };
+
+  if (primary) {
+    // Le secret n'est pas renvoyé par l'API : il est réappliqué à chaque démarrage
+    await api.updateWebhook(primary.id, {
+      events,
+      secret,
+      status: 'active',
+      description: WEBHOOK_DESCRIPTION
+    });
+    report.updated = primary.id;
+  } else {
+    const created = await api.createWebhook({
+      url: callbackUrl,
+      events,
+      secret,
+      description: WEBHOOK_DESCRIPTION
+    });
+    report.created = created.id;
+  }
+
+  const staleWebhooks = webhooks.filter(webhook =>
+    webhook !== primary &&
+    webhook.status === 'active' &&
+    (webhook.url === callbackUrl || isOwnWebhook(webhook))
+  );
+
+  for (const webhook of staleWebhooks) {
+    await api.updateWebhook(webhook.id, { status: 'inactive' });
+    report.deactivated.push(webhook.id);
+  }
+
+  console.log(`Webhooks réconciliés: ${report.created ? 'abonnement créé' : 'abonnement mis à jour'}, ${report.deactivated.length} abonnements désactivés`);
+
+  return report;
+};
+
+module.exports = {
+  registerWebhooks
+};
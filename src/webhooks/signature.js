@@ -0,0 +1,117 @@
+/**
+ * Vérification des webhooks
+ * -------------------------------------------------
+ * Vérifie la signature HMAC-SHA256 des webhooks SnackPrompt et rejette les
+ * requêtes rejouées en dehors de la fenêtre de tolérance
+ */
+
+const crypto = require('crypto');
+
+// Paramètres de vérification
+const verificationParams = {
+  signatureHeader: 'x-snackprompt-signature',
+  toleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300 // 5 minutes
+};
+
+/**
+ * Conserve le corps brut de la requête pour la vérification de signature
+ * À passer comme option `verify` de express.json()
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Buffer} buf - Corps brut de la requête
+ */
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+/**
+ * Calcule la signature HMAC-SHA256 d'un corps de requête
+ * @param {string} secret - Secret partagé avec SnackPrompt
+ * @param {Buffer|string} payload - Corps brut de la requête
+ * @returns {string} - Signature hexadécimale
+ */
+const computeSignature = (secret, payload) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+/**
+ * Compare une signature reçue à la signature attendue en temps constant
+ * @param {string} received - Signature reçue (hexadécimale, préfixe "sha256=" accepté)
+ * @param {string} expected - Signature attendue
+ * @returns {boolean} - true si les signatures correspondent
+ */
+const signaturesMatch = (received, expected) => {
+  const receivedBuffer = Buffer.from(received.replace(/^sha256=/, ''), 'hex');
+  const expectedBuffer = Buffer.from(expected, 'hex');
+
+  return receivedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+};
+
+/**
+ * Convertit l'horodatage d'un événement en millisecondes
+ * @param {string|number} timestamp - Date ISO ou horodatage Unix en secondes
+ * @returns {number} - Horodatage en millisecondes (NaN si invalide)
+ */
+const parseTimestamp = (timestamp) => {
+  if (typeof timestamp === 'number' || /^\d+$/.test(String(timestamp))) {
+    return Number(timestamp) * 1000;
+  }
+
+  return new Date(timestamp).getTime();
+};
+
+/**
+ * Crée le middleware de vérification des webhooks
+ * Le corps brut doit avoir été capturé par captureRawBody.
+ * @param {Object} [options] - Options de vérification
+ * @param {string} [options.secret] - Secret partagé (défaut: SNACKPROMPT_WEBHOOK_SECRET)
+ * @param {number} [options.toleranceSeconds] - Écart maximal accepté avec l'horodatage de l'événement
+ * @returns {Function} - Middleware Express
+ */
+const verifyWebhookSignature = (options = {}) => {
+  const secret = options.secret || process.env.SNACKPROMPT_WEBHOOK_SECRET;
+  const toleranceSeconds = options.toleranceSeconds || verificationParams.toleranceSeconds;
+
+  return (req, res, next) => {
+    if (!secret) {
+      console.error('Webhook rejeté: SNACKPROMPT_WEBHOOK_SECRET n\'est pas configuré');
+      return res.status(503).json({ error: 'Webhook secret not configured' });
+    }
+
+    const signature = req.headers[verificationParams.signatureHeader];
+
+    if (!signature) {
+      return res.status(401).json({ error: 'No signature provided' });
+    }
+
+    if (!req.rawBody) {
+      return res.status(400).json({ error: 'Missing request body' });
+    }
+
+    if (!signaturesMatch(String(signature), computeSignature(secret, req.rawBody))) {
+      console.warn(`Webhook rejeté sur ${req.path}: signature invalide`);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    // L'horodatage fait partie du corps signé : il ne peut pas être modifié pour rejouer l'événement
+    const timestamp = parseTimestamp(req.body && req.body.timestamp);
+
+    if (Number.isNaN(timestamp)) {
+      return res.status(400).json({ error: 'Missing or invalid timestamp' });
+    }
+
+    if (Math.abs(Date.now() - timestamp) > toleranceSeconds * 1000) {
+      console.warn(`Webhook rejeté sur ${req.path}: horodatage hors de la fenêtre de ${toleranceSeconds} secondes`);
+      return res.status(401).json({ error: 'Timestamp outside tolerance window' });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  captureRawBody,
+  computeSignature,
+  verifyWebhookSignature
+};